@@ -0,0 +1,233 @@
+// Section navigation
+// The header's menu icon opens an overlay listing the page's sections, the
+// keyboard steps between them (arrow keys, Page Up/Down, Home/End) and a rail
+// on the right shows how far through the page the wave is. Every jump goes
+// through the wave field's goToSection(), so the bands travel through the
+// sections in between instead of drifting after the page.
+//
+// A section's label is its data-nav-label, else the text of its title.
+
+const DEFAULT_NAVIGATION_OPTIONS = {
+    toggle: '.menu-icon',
+    sections: '.section',
+    title: '.section-title'
+};
+
+const NEXT_KEYS = ['ArrowDown', 'PageDown'];
+const PREVIOUS_KEYS = ['ArrowUp', 'PageUp'];
+
+function isEditable(element) {
+    return Boolean(element && (element.isContentEditable || element.closest('input, textarea, select')));
+}
+
+function readLabel(section, titleSelector, index) {
+    if (section.dataset.navLabel) return section.dataset.navLabel;
+    const title = section.querySelector(titleSelector);
+    const text = title ? title.innerText.replace(/\s+/g, ' ').trim() : '';
+    return text || `Section ${index + 1}`;
+}
+
+function formatIndex(index) {
+    return String(index + 1).padStart(2, '0');
+}
+
+export function createNavigation(field, options = {}) {
+    const config = { ...DEFAULT_NAVIGATION_OPTIONS, ...options };
+    const toggle = document.querySelector(config.toggle);
+    // Sections inside <wave-field> elements belong to those, not the page
+    const sections = Array.from(document.querySelectorAll(config.sections))
+        .filter((section) => !section.closest('wave-field'));
+    const labels = sections.map((section, i) => readLabel(section, config.title, i));
+
+    // ============================================
+    // OVERLAY
+    // ============================================
+
+    const overlay = document.createElement('nav');
+    overlay.className = 'nav-overlay';
+    overlay.id = 'site-navigation';
+    overlay.setAttribute('aria-label', 'Sections');
+    overlay.inert = true;
+
+    const list = document.createElement('ol');
+    list.className = 'nav-list';
+    const links = labels.map((label, i) => {
+        const item = document.createElement('li');
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'nav-link';
+        link.innerHTML = '<span class="nav-index"></span><span class="nav-label"></span>';
+        link.querySelector('.nav-index').textContent = formatIndex(i);
+        link.querySelector('.nav-label').textContent = label;
+        link.addEventListener('click', () => {
+            close();
+            field.goToSection(i);
+        });
+        item.appendChild(link);
+        list.appendChild(item);
+        return link;
+    });
+    overlay.appendChild(list);
+    document.body.appendChild(overlay);
+
+    let open = false;
+
+    function setOpen(value, { restoreFocus = true } = {}) {
+        open = value;
+        overlay.inert = !open;
+        overlay.classList.toggle('is-open', open);
+        document.documentElement.classList.toggle('nav-open', open);
+        if (toggle) {
+            toggle.setAttribute('aria-expanded', String(open));
+            toggle.setAttribute('aria-label', open ? 'Close navigation' : 'Open navigation');
+        }
+        if (open) {
+            const current = links[field.progress.section] || links[0];
+            if (current) current.focus();
+        } else if (restoreFocus && toggle && overlay.contains(document.activeElement)) {
+            toggle.focus();
+        }
+    }
+
+    function close() {
+        if (open) setOpen(false);
+    }
+
+    function handleToggle() {
+        setOpen(!open);
+    }
+
+    if (toggle) {
+        toggle.setAttribute('aria-controls', overlay.id);
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-label', 'Open navigation');
+        toggle.addEventListener('click', handleToggle);
+    }
+
+    // ============================================
+    // PROGRESS RAIL
+    // ============================================
+
+    const rail = document.createElement('div');
+    rail.className = 'section-progress';
+
+    const fill = document.createElement('div');
+    fill.className = 'section-progress-fill';
+    rail.appendChild(fill);
+
+    const dots = labels.map((label, i) => {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'section-progress-dot';
+        dot.style.top = `${sections.length > 1 ? (i / (sections.length - 1)) * 100 : 0}%`;
+        dot.setAttribute('aria-label', `Go to section ${i + 1}: ${label}`);
+        dot.addEventListener('click', () => field.goToSection(i));
+        rail.appendChild(dot);
+        return dot;
+    });
+    document.body.appendChild(rail);
+
+    let shownSection = -1;
+    let shownProgress = -1;
+
+    // The rail follows the wave, which trails the page while it eases. It is
+    // updated from the field's own frames, so it rests whenever the field
+    // does (paused, hidden, idle).
+    function updateProgress() {
+        const { section, page } = field.progress;
+
+        const progress = Math.round(page * 1000) / 1000;
+        if (progress !== shownProgress) {
+            fill.style.transform = `scaleY(${progress})`;
+            shownProgress = progress;
+        }
+
+        if (section !== shownSection) {
+            [dots, links].forEach((items) => items.forEach((item, i) => {
+                if (i === section) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            }));
+            shownSection = section;
+        }
+    }
+
+    field.element.addEventListener('progresschange', updateProgress);
+    updateProgress();
+
+    // ============================================
+    // KEYBOARD
+    // ============================================
+
+    // Step from where a running jump is heading, so repeated presses add up
+    function step(direction) {
+        const { target } = field.progress;
+        const next = Math.max(0, Math.min(target + direction, sections.length - 1));
+        if (next !== target) field.goToSection(next);
+    }
+
+    // Up and down move between the overlay's links while it is open
+    function moveFocus(direction) {
+        const index = links.indexOf(document.activeElement);
+        const next = (Math.max(index, 0) + direction + links.length) % links.length;
+        links[next].focus();
+    }
+
+    function handleKeyDown(event) {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+        if (isEditable(event.target)) return;
+
+        if (open) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+            } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                moveFocus(event.key === 'ArrowDown' ? 1 : -1);
+            }
+            return;
+        }
+
+        if (NEXT_KEYS.includes(event.key)) {
+            event.preventDefault();
+            step(1);
+        } else if (PREVIOUS_KEYS.includes(event.key)) {
+            event.preventDefault();
+            step(-1);
+        } else if (event.key === 'Home' || event.key === 'End') {
+            event.preventDefault();
+            field.goToSection(event.key === 'Home' ? 0 : sections.length - 1);
+        }
+    }
+
+    // Tabbing out of the open overlay closes it
+    function handleFocusOut(event) {
+        if (!open || !event.relatedTarget) return;
+        if (overlay.contains(event.relatedTarget) || (toggle && toggle.contains(event.relatedTarget))) return;
+        setOpen(false, { restoreFocus: false });
+    }
+
+    document.addEventListener('keydown', handleKeyDown);
+    overlay.addEventListener('focusout', handleFocusOut);
+
+    function dispose() {
+        field.element.removeEventListener('progresschange', updateProgress);
+        document.removeEventListener('keydown', handleKeyDown);
+        overlay.removeEventListener('focusout', handleFocusOut);
+        if (toggle) toggle.removeEventListener('click', handleToggle);
+        document.documentElement.classList.remove('nav-open');
+        overlay.remove();
+        rail.remove();
+    }
+
+    return {
+        open: () => setOpen(true),
+        close,
+        dispose,
+        get isOpen() {
+            return open;
+        }
+    };
+}
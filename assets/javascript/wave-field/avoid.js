@@ -0,0 +1,184 @@
+// Avoid zones
+// Keeps copy legible over the bands. Elements marked data-wave-avoid are
+// measured every frame and handed to the shaders as soft-edged screen
+// rectangles; each element picks what the bands do there:
+//
+//   data-wave-avoid="dim"        fade the bands out behind it (default)
+//   data-wave-avoid="push"       bend the bands away above and below it
+//   data-wave-avoid="no-bloom"   keep the bloom glow off it
+//
+// Modes combine ("dim push"), and data-wave-avoid-strength (0 to 1) and
+// data-wave-avoid-feather (CSS pixels of soft edge) override the defaults.
+// Elements added, removed or re-marked later (CMS blocks, lazy-loaded
+// content) are picked up on the next frame.
+
+import * as THREE from 'three';
+
+// Must match MAX_AVOID_ZONES in the shaders
+export const MAX_AVOID_ZONES = 8;
+
+export const DEFAULT_AVOID_OPTIONS = {
+    selector: '[data-wave-avoid]',
+    mode: 'dim',      // for elements whose data-wave-avoid is empty
+    dim: 0.8,         // share of the band brightness removed at full mask
+    push: 0.6,        // share of the way to the edge bands are pushed
+    noBloom: 1.0,     // share of the bloom removed
+    feather: 48,      // CSS pixels of soft edge around each rectangle
+    padding: 12       // CSS pixels added around each element
+};
+
+const MODES = ['dim', 'push', 'no-bloom'];
+
+export function createAvoidUniforms() {
+    const makeRects = () => Array.from({ length: MAX_AVOID_ZONES }, () => new THREE.Vector4());
+    return {
+        uAvoidRects: { value: makeRects() },  // left, top, right, bottom in CSS pixels
+        uAvoidModes: { value: makeRects() },  // dim, push, no-bloom, feather
+        uAvoidCount: { value: 0 }
+    };
+}
+
+// CPU version of avoidPush() in the vertex shader: vertical offset in CSS
+// pixels for a band point at screen position (x, y)
+export function getAvoidPush(uniforms, x, y) {
+    let offset = 0;
+    for (let i = 0; i < uniforms.uAvoidCount.value; i++) {
+        const rect = uniforms.uAvoidRects.value[i];
+        const mode = uniforms.uAvoidModes.value[i];
+        if (mode.y <= 0) continue;
+        const centre = (rect.y + rect.w) * 0.5;
+        const halfHeight = (rect.w - rect.y) * 0.5;
+        const dy = y - centre;
+        const side = dy / (Math.abs(dy) + 4.0);
+        const outsideX = Math.max(rect.x - x, x - rect.z, 0);
+        const t = Math.min(outsideX / Math.max(mode.w, 1), 1);
+        const horizontal = 1 - t * t * (3 - 2 * t);
+        offset += side * horizontal * Math.max(halfHeight + mode.w - Math.abs(dy), 0) * mode.y;
+    }
+    return offset;
+}
+
+// Zones are looked up under `root`: the document, or the container of a
+// field that keeps to its own element
+export function createAvoidZones({ container, root = document, uniforms, options = {} }) {
+    let avoidOptions = { ...DEFAULT_AVOID_OPTIONS, ...options };
+    let zones = [];
+
+    // The no-bloom rectangles, read by the WebGL renderer's bloom mask
+    const bloomMask = {
+        rects: Array.from({ length: MAX_AVOID_ZONES }, () => new THREE.Vector4()),
+        feathers: new Array(MAX_AVOID_ZONES).fill(0),
+        strengths: new Array(MAX_AVOID_ZONES).fill(0),
+        count: 0
+    };
+
+    function readNumber(value, fallback) {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : fallback;
+    }
+
+    function parseZone(element) {
+        const declared = (element.dataset.waveAvoid || '').trim();
+        const modes = declared ? declared.split(/\s+/) : [avoidOptions.mode];
+        modes.forEach((mode) => {
+            if (!MODES.includes(mode)) console.warn(`wave-field: unknown data-wave-avoid mode "${mode}"`, element);
+        });
+
+        const strength = element.dataset.waveAvoidStrength;
+        return {
+            element,
+            dim: modes.includes('dim') ? readNumber(strength, avoidOptions.dim) : 0,
+            push: modes.includes('push') ? readNumber(strength, avoidOptions.push) : 0,
+            noBloom: modes.includes('no-bloom') ? readNumber(strength, avoidOptions.noBloom) : 0,
+            feather: readNumber(element.dataset.waveAvoidFeather, avoidOptions.feather)
+        };
+    }
+
+    function refresh() {
+        stale = false;
+        zones = avoidOptions.selector
+            ? Array.from(root.querySelectorAll(avoidOptions.selector)).map(parseZone)
+            : [];
+    }
+
+    // DOM changes only mark the list stale; the next update() reads it again
+    let stale = false;
+    const observer = typeof MutationObserver !== 'undefined'
+        ? new MutationObserver(() => {
+            stale = true;
+        })
+        : null;
+    if (observer) {
+        observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['data-wave-avoid', 'data-wave-avoid-strength', 'data-wave-avoid-feather']
+        });
+    }
+
+    // Measure the zones that are on screen, in document order, up to
+    // MAX_AVOID_ZONES
+    function update() {
+        if (stale) refresh();
+        const bounds = container.getBoundingClientRect();
+        const padding = avoidOptions.padding;
+        let count = 0;
+        let maskCount = 0;
+
+        for (let i = 0; i < zones.length && count < MAX_AVOID_ZONES; i++) {
+            const zone = zones[i];
+            const rect = zone.element.getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) continue;
+
+            const left = rect.left - bounds.left - padding;
+            const top = rect.top - bounds.top - padding;
+            const right = rect.right - bounds.left + padding;
+            const bottom = rect.bottom - bounds.top + padding;
+            // Off-screen, soft edge included
+            if (bottom < -zone.feather || top > bounds.height + zone.feather) continue;
+            if (right < -zone.feather || left > bounds.width + zone.feather) continue;
+
+            uniforms.uAvoidRects.value[count].set(left, top, right, bottom);
+            uniforms.uAvoidModes.value[count].set(zone.dim, zone.push, zone.noBloom, zone.feather);
+            count++;
+
+            if (zone.noBloom > 0) {
+                bloomMask.rects[maskCount].set(left, top, right, bottom);
+                bloomMask.feathers[maskCount] = zone.feather;
+                bloomMask.strengths[maskCount] = zone.noBloom;
+                maskCount++;
+            }
+        }
+
+        uniforms.uAvoidCount.value = count;
+        bloomMask.count = maskCount;
+    }
+
+    function clear() {
+        uniforms.uAvoidCount.value = 0;
+        bloomMask.count = 0;
+    }
+
+    function setOptions(nextOptions = {}) {
+        avoidOptions = { ...avoidOptions, ...nextOptions };
+        refresh();
+    }
+
+    function dispose() {
+        if (observer) observer.disconnect();
+        zones = [];
+        clear();
+    }
+
+    refresh();
+
+    return {
+        update,
+        refresh,
+        clear,
+        setOptions,
+        dispose,
+        bloomMask
+    };
+}
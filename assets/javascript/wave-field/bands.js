@@ -0,0 +1,95 @@
+// Instanced wave bands
+// All bands share one ribbon geometry drawn in a single instanced call. The
+// per-band parameters live in a float texture (the band table) so the vertex
+// shader can blend any band towards any section without CPU work per band:
+//
+//   row 0       each band's own parameters
+//   row s + 1   the parameters the band takes on when blending into section s
+//               (line `band % lines` of section s, as the per-mesh version did)
+//
+// Every entry is three RGBA texels:
+//   [speed, amplitude, frequency, phase]
+//   [verticalOffset, direction, curveType, opacity]
+//   [colorIntensity, zDepth, section, sectionLine]
+
+import * as THREE from 'three';
+
+// Must match MAX_SECTIONS / BAND_TABLE_TEXELS in the vertex shader
+export const MAX_SECTIONS = 16;
+export const BAND_TABLE_TEXELS = 3;
+
+export const RIBBON_WIDTH = 50; // Extends beyond viewport
+
+function writeEntry(data, offset, lineConfig, sectionLine) {
+    data.set([
+        lineConfig.speed, lineConfig.amplitude, lineConfig.frequency, lineConfig.phaseOffset,
+        lineConfig.verticalOffset, lineConfig.direction, lineConfig.curveType, lineConfig.opacity,
+        lineConfig.colorIntensity, lineConfig.zDepth, lineConfig.sectionIndex, sectionLine
+    ], offset);
+}
+
+// Flatten the section line configs into band records and the band table.
+// Each record also keeps its per-section targets (the table's rows 1..n) for
+// code that evaluates bands on the CPU, see displacement.js
+export function createBandTable(sectionLines) {
+    if (sectionLines.length > MAX_SECTIONS) {
+        console.warn(`wave-field: only the first ${MAX_SECTIONS} sections get wave bands`);
+    }
+    const sections = sectionLines.slice(0, MAX_SECTIONS);
+
+    const bands = [];
+    sections.forEach((lines) => {
+        lines.forEach((lineConfig, sectionLine) => {
+            bands.push({
+                index: bands.length,
+                sectionIndex: lineConfig.sectionIndex,
+                sectionLine,
+                lineConfig,
+                targets: null
+            });
+        });
+    });
+
+    const width = Math.max(1, bands.length * BAND_TABLE_TEXELS);
+    const height = sections.length + 1;
+    const data = new Float32Array(width * height * 4);
+
+    bands.forEach((band) => {
+        const rowStride = width * 4;
+        writeEntry(data, band.index * BAND_TABLE_TEXELS * 4, band.lineConfig, band.sectionLine);
+
+        band.targets = sections.map((lines, sectionIndex) => {
+            const target = lines[band.index % lines.length];
+            const offset = (sectionIndex + 1) * rowStride + band.index * BAND_TABLE_TEXELS * 4;
+            writeEntry(data, offset, target, band.index % lines.length);
+            return target;
+        });
+    });
+
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+
+    return {
+        bands,
+        sectionCount: sections.length,
+        texture,
+        size: new THREE.Vector2(width, height)
+    };
+}
+
+// The shared ribbon: a unit-height plane whose centre row the vertex shader
+// displaces and whose outer rows it extrudes to the line width on screen
+export function createRibbonGeometry(segments, bandCount) {
+    const plane = new THREE.PlaneGeometry(RIBBON_WIDTH, 1, segments, 2);
+    const geometry = new THREE.InstancedBufferGeometry().copy(plane);
+    plane.dispose();
+
+    const bandIndices = new Float32Array(bandCount);
+    for (let i = 0; i < bandCount; i++) bandIndices[i] = i;
+    geometry.setAttribute('aBand', new THREE.InstancedBufferAttribute(bandIndices, 1));
+    geometry.instanceCount = bandCount;
+
+    return geometry;
+}
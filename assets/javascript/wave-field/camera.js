@@ -0,0 +1,244 @@
+// Camera choreography
+// Each section can place the camera through the "camera" field of its preset:
+//
+//   camera: {
+//       position: [-1.2, -0.6, 7],  // default [0, 0, cameraZ]
+//       lookAt: [0.6, 0.2, -1],     // default the origin
+//       fov: 60,                    // default the fov option
+//       roll: -3,                   // degrees around the view direction
+//       travel: 3,                  // world units flown towards lookAt over the section
+//       focus: 7                    // in-focus distance, default the distance to lookAt
+//   }
+//
+// The camera moves from one section's state to the next with the band
+// crossfade. The mouse shifts it sideways while it keeps looking at the same
+// point, so near and far bands slide apart. Depth of field is opt-in: with
+// depthFade or depthBlur above 0.0 the bands away from the focus distance
+// fade and spread into soft, wider lines.
+
+import * as THREE from 'three';
+
+export const DEFAULT_CAMERA_OPTIONS = {
+    parallax: 0.35,       // world units the camera shifts with the mouse at the viewport edge
+    parallaxEase: 0.05,
+    depthFade: 0.0,       // share of the brightness lost by bands out of focus
+    depthBlur: 0.0,       // extra line width out of focus, in line widths
+    focusRange: 4.0       // world units from the focus distance to fully out of focus
+};
+
+export function createDepthUniforms() {
+    return {
+        uFocusDistance: { value: 8.0 },
+        uFocusRange: { value: DEFAULT_CAMERA_OPTIONS.focusRange },
+        uDepthFade: { value: DEFAULT_CAMERA_OPTIONS.depthFade },
+        uDepthBlur: { value: DEFAULT_CAMERA_OPTIONS.depthBlur }
+    };
+}
+
+// CPU version of the defocus in the vertex shader: 0.0 in focus to 1.0 at
+// focusRange and beyond, for a band `viewDepth` units in front of the camera
+export function getDefocus(uniforms, viewDepth) {
+    const t = Math.min(Math.abs(viewDepth - uniforms.uFocusDistance.value) / Math.max(uniforms.uFocusRange.value, 0.001), 1);
+    return t * t * (3 - 2 * t);
+}
+
+// [x, y, z] or { x, y, z }, missing components taken from `fallback`
+function toVector(value, fallback) {
+    const vector = fallback.clone();
+    if (Array.isArray(value)) {
+        vector.fromArray([value[0] ?? fallback.x, value[1] ?? fallback.y, value[2] ?? fallback.z]);
+    } else if (value && typeof value === 'object') {
+        vector.set(value.x ?? fallback.x, value.y ?? fallback.y, value.z ?? fallback.z);
+    }
+    return vector;
+}
+
+const ORIGIN = new THREE.Vector3();
+
+export function createCameraRig({ camera, element, uniforms, options = {} }) {
+    let cameraOptions = { ...DEFAULT_CAMERA_OPTIONS, ...options };
+    let enabled = true;
+
+    // The fov and cameraZ options, for sections that leave them out
+    const basePosition = new THREE.Vector3(0, 0, camera.position.z);
+    let baseFov = camera.fov;
+
+    let declared = [];
+    let states = [];
+
+    // This frame's camera, written by apply() and the timeline and handed to
+    // the three.js camera by commit()
+    const current = {
+        position: new THREE.Vector3(),
+        target: new THREE.Vector3(),
+        fov: baseFov,
+        roll: 0,        // degrees
+        focus: 0
+    };
+
+    // Mouse position in NDC, and the eased parallax following it
+    const pointer = new THREE.Vector2();
+    const parallax = new THREE.Vector2();
+    let pointerInside = false;
+
+    const travel = new THREE.Vector3();
+    const right = new THREE.Vector3();
+    const up = new THREE.Vector3();
+
+    function resolveState(source = {}) {
+        const position = toVector(source.position, basePosition);
+        const target = toVector(source.lookAt, ORIGIN);
+        return {
+            position,
+            target,
+            fov: source.fov ?? baseFov,
+            roll: source.roll || 0,
+            travel: source.travel || 0,
+            // Explicit focus, else the distance to the look-at point where the
+            // section starts
+            focus: source.focus ?? position.distanceTo(target)
+        };
+    }
+
+    function resolveStates() {
+        states = declared.map((source) => resolveState(source || {}));
+        if (states.length === 0) states = [resolveState()];
+    }
+
+    // One camera field (or undefined) per section
+    function setSections(cameraStates) {
+        declared = cameraStates;
+        resolveStates();
+    }
+
+    function setBase({ fov, cameraZ }) {
+        basePosition.set(0, 0, cameraZ);
+        baseFov = fov;
+        resolveStates();
+    }
+
+    // Position of a section's camera `progress` of the way through its travel
+    function getTravelPosition(state, progress, out) {
+        travel.copy(state.target).sub(state.position);
+        const distance = travel.length();
+        out.copy(state.position);
+        if (distance > 0 && state.travel !== 0) {
+            out.addScaledVector(travel, (state.travel * progress) / distance);
+        }
+        return out;
+    }
+
+    // Section camera for the scroll state; `blend` is the band crossfade into
+    // the next section. Also resets the depth uniforms the timeline may drive.
+    function apply(sectionIndex, sectionProgress, blend) {
+        const from = states[Math.min(sectionIndex, states.length - 1)];
+        const to = states[sectionIndex + 1] || from;
+
+        getTravelPosition(from, sectionProgress, current.position);
+        current.target.copy(from.target);
+        current.fov = from.fov;
+        current.roll = from.roll;
+        current.focus = from.focus - from.travel * sectionProgress;
+
+        if (blend > 0 && to !== from) {
+            current.position.lerp(to.position, blend);
+            current.target.lerp(to.target, blend);
+            current.fov += (to.fov - current.fov) * blend;
+            current.roll += (to.roll - current.roll) * blend;
+            current.focus += (to.focus - current.focus) * blend;
+        }
+
+        uniforms.uFocusRange.value = cameraOptions.focusRange;
+        uniforms.uDepthFade.value = cameraOptions.depthFade;
+        uniforms.uDepthBlur.value = cameraOptions.depthBlur;
+    }
+
+    // Ease the parallax towards the mouse, back to centre without one
+    function update() {
+        const active = enabled && pointerInside;
+        parallax.x += ((active ? pointer.x : 0) - parallax.x) * cameraOptions.parallaxEase;
+        parallax.y += ((active ? pointer.y : 0) - parallax.y) * cameraOptions.parallaxEase;
+    }
+
+    function commit() {
+        camera.position.copy(current.position);
+        camera.up.set(0, 1, 0);
+        camera.lookAt(current.target);
+
+        // Shift within the camera's own plane and look back at the target
+        if (cameraOptions.parallax !== 0) {
+            right.set(1, 0, 0).applyQuaternion(camera.quaternion);
+            up.set(0, 1, 0).applyQuaternion(camera.quaternion);
+            camera.position
+                .addScaledVector(right, parallax.x * cameraOptions.parallax)
+                .addScaledVector(up, parallax.y * cameraOptions.parallax);
+            camera.lookAt(current.target);
+        }
+        if (current.roll !== 0) camera.rotateZ(THREE.MathUtils.degToRad(current.roll));
+        camera.updateMatrixWorld();
+
+        if (camera.fov !== current.fov) {
+            camera.fov = current.fov;
+            camera.updateProjectionMatrix();
+        }
+
+        uniforms.uFocusDistance.value = current.focus;
+    }
+
+    // ============================================
+    // POINTER EVENTS
+    // ============================================
+
+    // Mice and pens only; on touch the parallax would follow every scroll
+    function handlePointerMove(event) {
+        if (event.pointerType === 'touch') return;
+        const rect = element.getBoundingClientRect();
+        pointer.set(
+            Math.min(Math.max(((event.clientX - rect.left) / rect.width) * 2 - 1, -1), 1),
+            Math.min(Math.max(-((event.clientY - rect.top) / rect.height) * 2 + 1, -1), 1)
+        );
+        pointerInside = true;
+    }
+
+    function handlePointerOut(event) {
+        if (event.relatedTarget === null) pointerInside = false;
+    }
+
+    window.addEventListener('pointermove', handlePointerMove, { passive: true });
+    document.addEventListener('pointerout', handlePointerOut, { passive: true });
+
+    // Centre the parallax at once
+    function reset() {
+        pointer.set(0, 0);
+        parallax.set(0, 0);
+        pointerInside = false;
+    }
+
+    function setEnabled(value) {
+        enabled = value;
+    }
+
+    function setOptions(nextOptions = {}) {
+        cameraOptions = { ...cameraOptions, ...nextOptions };
+    }
+
+    function dispose() {
+        window.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerout', handlePointerOut);
+    }
+
+    resolveStates();
+
+    return {
+        setSections,
+        setBase,
+        apply,
+        update,
+        commit,
+        reset,
+        setEnabled,
+        setOptions,
+        dispose,
+        current
+    };
+}
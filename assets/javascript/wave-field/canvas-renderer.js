@@ -0,0 +1,263 @@
+// Canvas 2D renderer
+// Fallback for browsers with WebGL disabled or a GPU context that never came
+// back. Draws the same bands as the shaders (same section configs, blending,
+// palette gradient and motion, via displacement.js) as stroked paths, with a
+// few wide, faint strokes under each line standing in for the bloom.
+// Selective bloom and the post effects (post.js) are left out.
+
+import * as THREE from 'three';
+import { displaceBand, isBandVisible, resolveBandParams } from './displacement.js';
+import { samplePalette } from './palettes.js';
+import { RIBBON_WIDTH } from './bands.js';
+import { getAvoidPush } from './avoid.js';
+import { getDefocus } from './camera.js';
+import { getStreakSpan } from './streaks.js';
+
+// Gradient stops sampled from the palette along each band
+const GRADIENT_STEPS = 8;
+
+// Bloom strength at which the glow strokes are drawn as specified
+const GLOW_REFERENCE_STRENGTH = 3.5;
+
+// Glow strokes under the core line: width in line widths, relative alpha
+const GLOW_LAYERS = [
+    { width: 10, alpha: 0.06 },
+    { width: 4, alpha: 0.14 }
+];
+
+// Points along each streak
+const STREAK_SAMPLES = 8;
+
+export function createCanvasRenderer({ camera, uniforms, getBandTable, getStreaks }) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    if (!context) {
+        throw new Error('wave-field: Canvas 2D is not available');
+    }
+
+    let width = 1;
+    let height = 1;
+    let pixelRatio = 1;
+    let samples = 128;
+    let octaves = 4;
+
+    const params = {};
+    const point = new THREE.Vector3();
+    const paletteColors = Array.from({ length: GRADIENT_STEPS }, () => new THREE.Color());
+    const streakColor = new THREE.Color();
+    const streakTail = new THREE.Vector2();
+    const span = {};
+
+    // World position projected to CSS pixels
+    function project(out) {
+        out.project(camera);
+        out.x = (out.x + 1) * 0.5 * width;
+        out.y = (1 - out.y) * 0.5 * height;
+        return out;
+    }
+
+    // Depth fade and blur at the band's centre, vFocus in the shaders
+    function getFocus() {
+        point.set(0, params.verticalOffset, params.zDepth).applyMatrix4(camera.matrixWorldInverse);
+        const defocus = getDefocus(uniforms, -point.z);
+        const blurWidth = 1 + uniforms.uDepthBlur.value * defocus;
+        return { blurWidth, brightness: (1 - uniforms.uDepthFade.value * defocus) / blurWidth };
+    }
+
+    function toStyle(source, scale, alpha = 1) {
+        const r = Math.round(Math.min(source.r * scale, 1) * 255);
+        const g = Math.round(Math.min(source.g * scale, 1) * 255);
+        const b = Math.round(Math.min(source.b * scale, 1) * 255);
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    function traceBand() {
+        const path = new Path2D();
+        for (let i = 0; i <= samples; i++) {
+            displaceBand(params, i / samples, uniforms, octaves, point);
+            project(point);
+            point.y += getAvoidPush(uniforms, point.x, point.y);
+            if (i === 0) path.moveTo(point.x, point.y);
+            else path.lineTo(point.x, point.y);
+        }
+        return path;
+    }
+
+    // The palette runs along the ribbon, whose ends lie far off-screen
+    function createGradient(colorIntensity) {
+        const start = project(point.set(-0.5 * RIBBON_WIDTH, 0, params.zDepth));
+        const startX = start.x;
+        const startY = start.y;
+        const end = project(point.set(0.5 * RIBBON_WIDTH, 0, params.zDepth));
+        const gradient = context.createLinearGradient(startX, startY, end.x, end.y);
+        // Centre brightening of the fragment shader
+        const scale = colorIntensity * 1.3;
+        paletteColors.forEach((paletteColor, i) => {
+            gradient.addColorStop(i / (GRADIENT_STEPS - 1), toStyle(paletteColor, scale));
+        });
+        return gradient;
+    }
+
+    function render(frame) {
+        camera.updateMatrixWorld();
+
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        context.globalCompositeOperation = 'source-over';
+        context.globalAlpha = 1;
+        context.fillStyle = `#${frame.background.getHexString()}`;
+        context.fillRect(0, 0, width, height);
+
+        const bandTable = getBandTable();
+        if (!bandTable) return;
+
+        paletteColors.forEach((paletteColor, i) => {
+            samplePalette(uniforms, i / (GRADIENT_STEPS - 1), paletteColor);
+        });
+
+        // Additive, like the band material
+        context.globalCompositeOperation = 'lighter';
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+
+        const lineWidth = uniforms.uLineWidth.value;
+        const glow = Math.min(Math.max(frame.bloom.strength / GLOW_REFERENCE_STRENGTH, 0), 2);
+        const timeIntensity = 0.88 + 0.12 * Math.sin(uniforms.uTime.value * 0.3);
+
+        bandTable.bands.forEach((band) => {
+            if (!isBandVisible(band, uniforms)) return;
+            resolveBandParams(band, uniforms, params);
+
+            // Alpha at the centre of the line in the fragment shader
+            const highlight = band.index === uniforms.uHighlightBand.value ? uniforms.uHighlight.value : 0;
+            const opacity = Math.max(params.opacity * uniforms.uOpacityScale.value, 0);
+            const visibility = uniforms.uSectionVisibility.value[band.sectionIndex];
+            const { blurWidth, brightness } = getFocus();
+            const alpha = Math.pow(opacity * timeIntensity + opacity * (0.2 + 0.3 * highlight), 0.75) * visibility * brightness;
+            if (alpha < 0.002) return;
+
+            const path = traceBand();
+            context.strokeStyle = createGradient(params.colorIntensity * (1 + 0.4 * highlight));
+
+            GLOW_LAYERS.forEach((layer) => {
+                context.lineWidth = lineWidth * blurWidth * layer.width;
+                context.globalAlpha = Math.min(alpha * layer.alpha * glow * (1 + highlight), 1);
+                context.stroke(path);
+            });
+
+            context.lineWidth = lineWidth * blurWidth;
+            context.globalAlpha = Math.min(alpha, 1);
+            context.stroke(path);
+        });
+
+        drawStreaks(bandTable, lineWidth, glow);
+        drawAvoidZones(frame.background);
+    }
+
+    // Streaks in the band colour at their middle, fading towards the tail,
+    // with one glow stroke standing in for the bloom
+    function drawStreaks(bandTable, lineWidth, glow) {
+        const streaks = getStreaks ? getStreaks() : [];
+        const time = uniforms.uTime.value;
+
+        streaks.forEach((streak) => {
+            const band = bandTable.bands[streak.band];
+            if (!band || !isBandVisible(band, uniforms)) return;
+            getStreakSpan(streak, time, span);
+            const tail = Math.max(span.tail, 0);
+            const head = Math.min(span.head, 1);
+            if (head <= tail) return;
+
+            resolveBandParams(band, uniforms, params);
+            const { blurWidth, brightness } = getFocus();
+            const alpha = streak.intensity * uniforms.uSectionVisibility.value[band.sectionIndex] * brightness;
+            if (alpha < 0.002) return;
+
+            const path = new Path2D();
+            for (let i = 0; i <= STREAK_SAMPLES; i++) {
+                displaceBand(params, tail + ((head - tail) * i) / STREAK_SAMPLES, uniforms, octaves, point);
+                project(point);
+                point.y += getAvoidPush(uniforms, point.x, point.y);
+                if (i === 0) {
+                    path.moveTo(point.x, point.y);
+                    streakTail.set(point.x, point.y);
+                } else {
+                    path.lineTo(point.x, point.y);
+                }
+            }
+
+            samplePalette(uniforms, (tail + head) * 0.5, streakColor);
+            const scale = params.colorIntensity;
+            const gradient = context.createLinearGradient(streakTail.x, streakTail.y, point.x, point.y);
+            gradient.addColorStop(0, toStyle(streakColor, scale, 0));
+            gradient.addColorStop(0.5, toStyle(streakColor, scale, Math.pow(0.5, streak.trail)));
+            gradient.addColorStop(1, toStyle(streakColor, scale, 1));
+            context.strokeStyle = gradient;
+
+            const width = lineWidth * streak.width * blurWidth;
+            context.lineWidth = width * GLOW_LAYERS[1].width;
+            context.globalAlpha = Math.min(alpha * GLOW_LAYERS[1].alpha * glow * 2, 1);
+            context.stroke(path);
+            context.lineWidth = width;
+            context.globalAlpha = Math.min(alpha, 1);
+            context.stroke(path);
+        });
+    }
+
+    // Without a separate bloom buffer, dim and no-bloom zones both fade the
+    // bands towards the background
+    function drawAvoidZones(background) {
+        const count = uniforms.uAvoidCount.value;
+        if (count === 0) return;
+
+        context.globalCompositeOperation = 'source-over';
+        context.globalAlpha = 1;
+        context.fillStyle = `#${background.getHexString()}`;
+        for (let i = 0; i < count; i++) {
+            const rect = uniforms.uAvoidRects.value[i];
+            const mode = uniforms.uAvoidModes.value[i];
+            const strength = Math.max(mode.x, mode.z * 0.5);
+            if (strength <= 0) continue;
+
+            context.globalAlpha = Math.min(strength, 1);
+            context.shadowColor = context.fillStyle;
+            context.shadowBlur = mode.w;
+            context.fillRect(rect.x, rect.y, rect.z - rect.x, rect.w - rect.y);
+        }
+        context.shadowBlur = 0;
+        context.globalAlpha = 1;
+    }
+
+    function setSize(nextWidth, nextHeight, nextPixelRatio) {
+        width = nextWidth;
+        height = nextHeight;
+        pixelRatio = nextPixelRatio;
+        canvas.width = Math.max(1, Math.round(width * pixelRatio));
+        canvas.height = Math.max(1, Math.round(height * pixelRatio));
+    }
+
+    // Fewer samples per band and noise octaves on lower tiers; the band
+    // fraction already applies through the uniforms
+    function setQuality(quality) {
+        samples = Math.max(32, Math.round(quality.segments / 2));
+        octaves = quality.octaves;
+    }
+
+    // Every frame is drawn from scratch, there is no history to clear
+    function clearHistory() {}
+
+    function dispose() {
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    return {
+        type: 'canvas',
+        domElement: canvas,
+        setSize,
+        setQuality,
+        render,
+        clearHistory,
+        dispose,
+        contextLost: false
+    };
+}
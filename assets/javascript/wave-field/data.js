@@ -0,0 +1,394 @@
+// Data-driven bands
+// Numeric series take over the shape of a section's bands: each band follows
+// one series, resampled across the visible width and smoothed, and new data
+// eases in over the old. Series come from code, from JSON/CSV files or from a
+// polled callback:
+//
+//   field.setBandData(2, [[12, 18, 15, 22], [3, 5, 4, 9]]);
+//   field.loadBandData(2, 'assets/data/metrics.csv');
+//   const stop = field.streamBandData(2, () => fetchLatest(), { interval: 5000 });
+//
+// In 'append' mode a stream returns only the new values, one per series, and
+// may start from a section with no data yet; the first result seeds the
+// series:
+//
+//   field.streamBandData(1, () => [readCpu(), readMemory()], { mode: 'append' });
+//   // first poll [12, 40] -> series [[12], [40]], next [14, 38] -> [[12, 14], [40, 38]]
+//
+// A section element can also name its file: data-wave-data="metrics.csv".
+// JSON may be an array of numbers, an array of series, an array of row
+// objects or an object of named series ({ "series": [...] } works too). CSV
+// columns are series; non-numeric columns (dates, labels) and a header row are
+// skipped.
+
+import * as THREE from 'three';
+import { MAX_SECTIONS } from './bands.js';
+
+// Must match DATA_SAMPLES in the vertex shader
+export const DATA_SAMPLES = 128;
+
+export const DEFAULT_BAND_DATA_OPTIONS = {
+    scale: 2.0,           // world units between the lowest and highest value
+    span: 24,             // world units of band the series is spread across
+    smoothing: 3,         // samples either side averaged over
+    normalize: 'section', // 'section' shares one range, 'band' scales each series, false uses raw values
+    transition: 1.2,      // seconds for new data to ease in
+    weight: 1.0,          // how far data replaces the procedural wave
+    interval: 2000,       // ms between streamed updates
+    mode: 'replace',      // streamed results replace the series, or 'append' new values
+    window: 64            // values kept per series when appending
+};
+
+export function createBandDataUniforms() {
+    return {
+        uBandData: { value: null },
+        uBandDataRows: { value: 1 },
+        // weight, blend from the previous to the current data, scale, span
+        uDataSections: { value: Array.from({ length: MAX_SECTIONS }, () => new THREE.Vector4(0, 1, 1, 24)) }
+    };
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+function isNumeric(value) {
+    return value !== '' && value !== null && Number.isFinite(Number(value));
+}
+
+// Numeric fields of row objects become one series each
+function columnsToSeries(rows) {
+    const keys = Object.keys(rows[0] || {}).filter((key) => rows.every((row) => isNumeric(row[key])));
+    return keys.map((key) => rows.map((row) => Number(row[key])));
+}
+
+export function parseJsonSeries(json) {
+    if (Array.isArray(json)) {
+        if (json.length === 0) return [];
+        if (json.every(isNumeric)) return [json.map(Number)];
+        if (json.every(Array.isArray)) return json.map((series) => series.filter(isNumeric).map(Number));
+        if (json.every((row) => row && typeof row === 'object')) return columnsToSeries(json);
+    } else if (json && typeof json === 'object') {
+        if (json.series) return parseJsonSeries(json.series);
+        return Object.values(json).filter(Array.isArray).map((series) => series.filter(isNumeric).map(Number));
+    }
+    throw new Error('wave-field: band data JSON holds no numeric series');
+}
+
+export function parseCsvSeries(text) {
+    const rows = text.split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, '')));
+    if (rows.length > 0 && !rows[0].some(isNumeric)) rows.shift();
+
+    const columns = Math.max(0, ...rows.map((row) => row.length));
+    const series = [];
+    for (let column = 0; column < columns; column++) {
+        const cells = rows.map((row) => row[column]).filter((cell) => cell !== undefined && cell !== '');
+        if (cells.length > 0 && cells.every(isNumeric)) series.push(cells.map(Number));
+    }
+    if (series.length === 0) throw new Error('wave-field: band data CSV holds no numeric columns');
+    return series;
+}
+
+export async function loadBandData(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`wave-field: could not load band data from ${url} (${response.status})`);
+    }
+    const text = await response.text();
+    const trimmed = text.trim();
+    return trimmed.startsWith('[') || trimmed.startsWith('{')
+        ? parseJsonSeries(JSON.parse(trimmed))
+        : parseCsvSeries(trimmed);
+}
+
+// ============================================
+// RESAMPLING
+// ============================================
+
+// DATA_SAMPLES evenly spaced values along the series
+function resample(series) {
+    const samples = new Float32Array(DATA_SAMPLES);
+    if (series.length === 0) return samples;
+    for (let s = 0; s < DATA_SAMPLES; s++) {
+        const x = (s / (DATA_SAMPLES - 1)) * (series.length - 1);
+        const i = Math.floor(x);
+        const next = Math.min(i + 1, series.length - 1);
+        samples[s] = series[i] + (series[next] - series[i]) * (x - i);
+    }
+    return samples;
+}
+
+// Moving average over `radius` samples either side, clamped at the ends
+function smooth(samples, radius) {
+    if (radius < 1) return samples;
+    const smoothed = new Float32Array(samples.length);
+    for (let s = 0; s < samples.length; s++) {
+        let sum = 0;
+        let count = 0;
+        for (let k = -radius; k <= radius; k++) {
+            const index = s + k;
+            if (index < 0 || index >= samples.length) continue;
+            sum += samples[index];
+            count++;
+        }
+        smoothed[s] = sum / count;
+    }
+    return smoothed;
+}
+
+// Map values into -0.5 to 0.5, across all series or per series
+function normalize(curves, mode) {
+    if (!mode) return curves;
+    const range = (values) => [Math.min(...values), Math.max(...values)];
+    const shared = mode === 'section' ? range(curves.flatMap((curve) => Array.from(curve))) : null;
+    return curves.map((curve) => {
+        const [min, max] = shared || range(curve);
+        const size = max - min;
+        return curve.map((value) => (size > 0 ? (value - min) / size - 0.5 : 0));
+    });
+}
+
+// ============================================
+// BAND DATA CONTROLLER
+// ============================================
+
+export function createBandData({ uniforms, options = {} }) {
+    let dataOptions = { ...DEFAULT_BAND_DATA_OPTIONS, ...options };
+    let bands = [];
+    let texture = null;
+    // Held streams skip their polls, e.g. while an export runs
+    let streamsHeld = false;
+    let disposed = false;
+
+    // Per section: the shaped curves, what is shown now and the streams
+    const sections = new Map();
+
+    function getSection(index) {
+        if (!sections.has(index)) {
+            sections.set(index, {
+                overrides: {},
+                config: { ...dataOptions },
+                raw: null,
+                previous: null,
+                current: null,
+                weight: 0,
+                targetWeight: 0,
+                blend: 1,
+                stream: null
+            });
+        }
+        return sections.get(index);
+    }
+
+    function sectionBands(index) {
+        return bands.filter((band) => band.sectionIndex === index);
+    }
+
+    // The texture has one row per band: r = previous value, g = current value
+    function allocate() {
+        const rows = Math.max(1, bands.length);
+        if (texture && texture.image.height === rows) return;
+        if (texture) texture.dispose();
+        texture = new THREE.DataTexture(new Float32Array(DATA_SAMPLES * rows * 4), DATA_SAMPLES, rows, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        uniforms.uBandData.value = texture;
+        uniforms.uBandDataRows.value = rows;
+    }
+
+    function writeSection(index, state) {
+        const { data } = texture.image;
+        sectionBands(index).forEach((band, line) => {
+            const count = state.current ? state.current.length : 0;
+            for (let s = 0; s < DATA_SAMPLES; s++) {
+                const offset = (band.index * DATA_SAMPLES + s) * 4;
+                data[offset] = count > 0 ? state.previous[line % count][s] : 0;
+                data[offset + 1] = count > 0 ? state.current[line % count][s] : 0;
+            }
+        });
+        texture.needsUpdate = true;
+    }
+
+    function writeUniform(index, state) {
+        if (index >= MAX_SECTIONS) return;
+        uniforms.uDataSections.value[index].set(state.weight, state.blend, state.config.scale, state.config.span);
+    }
+
+    // What the band shows right now, so new data starts from there
+    function getShown(state) {
+        return state.current.map((curve, i) => curve.map((value, s) => (
+            state.previous[i][s] + (value - state.previous[i][s]) * state.blend
+        )));
+    }
+
+    // Options given for a section stay on top of the controller's options
+    function configure(state, nextOptions) {
+        state.overrides = { ...state.overrides, ...nextOptions };
+        state.config = { ...dataOptions, ...state.overrides };
+    }
+
+    function shape(state) {
+        const { config } = state;
+        return normalize(
+            state.raw.map((values) => smooth(resample(values), Math.round(config.smoothing))),
+            config.normalize
+        );
+    }
+
+    // Series for section `index`, one per band (repeating when there are
+    // fewer series than bands); null clears the section's data
+    function setSeries(index, series, nextOptions = {}) {
+        const state = getSection(index);
+        configure(state, nextOptions);
+
+        if (!series || series.length === 0) {
+            state.targetWeight = 0;
+            return;
+        }
+
+        state.raw = series.map((values) => Array.from(values, Number));
+        const curves = shape(state);
+
+        if (state.current && state.weight > 0 && state.current.length === curves.length) {
+            state.previous = getShown(state);
+            state.blend = 0;
+        } else {
+            // Nothing shown yet: fade in from the procedural wave instead
+            state.previous = curves;
+            state.blend = 1;
+        }
+        state.current = curves;
+        state.targetWeight = state.config.weight;
+
+        allocate();
+        writeSection(index, state);
+        writeUniform(index, state);
+    }
+
+    // A field disposed while the file loads ignores it
+    function load(index, url, nextOptions) {
+        return loadBandData(url).then((series) => {
+            if (!disposed) setSeries(index, series, nextOptions);
+        });
+    }
+
+    function stopStream(index) {
+        const state = sections.get(index);
+        if (state && state.stream) {
+            clearInterval(state.stream);
+            state.stream = null;
+        }
+    }
+
+    // Poll `source` for new data; it may return a promise. In 'append' mode
+    // it returns the new values per series (a number or an array each), and
+    // the first result starts the series when the section has none yet.
+    function stream(index, source, nextOptions = {}) {
+        stopStream(index);
+        const state = getSection(index);
+        configure(state, nextOptions);
+        const { interval, mode } = state.config;
+        let pending = false;
+
+        async function poll() {
+            if (pending || streamsHeld) return;
+            pending = true;
+            try {
+                const result = await source(state.raw);
+                if (!result || disposed) return;
+                if (mode === 'append') {
+                    // A single number is the new value of a single series
+                    const values = [].concat(result);
+                    const added = (i) => [].concat(values[i % values.length] ?? []).map(Number);
+                    const series = state.raw
+                        ? state.raw.map((raw, i) => raw.concat(added(i)))
+                        : values.map((value, i) => added(i));
+                    setSeries(index, series.map((raw) => raw.slice(-state.config.window)));
+                } else {
+                    setSeries(index, result);
+                }
+            } catch (error) {
+                console.warn('wave-field: band data stream update failed', error);
+            } finally {
+                pending = false;
+            }
+        }
+
+        state.stream = setInterval(poll, interval);
+        poll();
+        return () => stopStream(index);
+    }
+
+    // Ease weights and data transitions
+    function update(deltaTime) {
+        sections.forEach((state, index) => {
+            const step = state.config.transition > 0 ? deltaTime / state.config.transition : 1;
+            if (state.blend < 1) state.blend = Math.min(state.blend + step, 1);
+            if (state.weight !== state.targetWeight) {
+                const direction = Math.sign(state.targetWeight - state.weight);
+                state.weight += direction * step * Math.max(state.targetWeight, 1);
+                if (Math.sign(state.targetWeight - state.weight) !== direction) state.weight = state.targetWeight;
+            }
+            writeUniform(index, state);
+        });
+    }
+
+    // Finish every transition at once
+    function settle() {
+        sections.forEach((state, index) => {
+            state.blend = 1;
+            state.weight = state.targetWeight;
+            writeUniform(index, state);
+        });
+    }
+
+    function holdStreams(held) {
+        streamsHeld = held;
+    }
+
+    // New band records after the sections were rebuilt: lay the data out again
+    function setBands(nextBands) {
+        bands = nextBands;
+        allocate();
+        texture.image.data.fill(0);
+        sections.forEach((state, index) => writeSection(index, state));
+        texture.needsUpdate = true;
+    }
+
+    // Reshapes the data already set, without a transition
+    function setOptions(nextOptions = {}) {
+        dataOptions = { ...dataOptions, ...nextOptions };
+        sections.forEach((state, index) => {
+            configure(state, {});
+            if (!state.raw) return;
+            state.current = shape(state);
+            state.previous = state.current;
+            state.blend = 1;
+            if (state.targetWeight > 0) state.targetWeight = state.config.weight;
+            writeSection(index, state);
+            writeUniform(index, state);
+        });
+    }
+
+    function dispose() {
+        disposed = true;
+        sections.forEach((state, index) => stopStream(index));
+        sections.clear();
+        if (texture) texture.dispose();
+    }
+
+    return {
+        setSeries,
+        load,
+        stream,
+        stopStream,
+        holdStreams,
+        settle,
+        update,
+        setBands,
+        setOptions,
+        dispose
+    };
+}
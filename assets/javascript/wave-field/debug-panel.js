@@ -0,0 +1,335 @@
+// Debug tuning panel
+// An opt-in lil-gui panel (?debug or #debug) over a field's tuning state:
+// every section preset with its per-band ranges, bloom, tone mapping, noise,
+// palette, camera, streaks, band data shaping and post effects. Changes apply
+// live and are written into the URL hash, so the address bar always holds a
+// shareable link; the state can also be exported and imported as a JSON preset
+// (state.js) or rendered offline to a video or PNG frames (export.js). PNG
+// frames are written into a folder the visitor picks, so the panel only
+// offers them where the browser has the File System Access API.
+
+import GUI from 'three/addons/libs/lil-gui.module.min.js';
+import { CURVE_TYPES, DIRECTIONS } from './presets.js';
+import { PALETTES } from './palettes.js';
+import { DEFAULT_POST_OPTIONS, POST_EFFECTS } from './post.js';
+import { createStateUrl, pickState } from './state.js';
+
+// Slider bounds for the per-band [first, last] ranges of a preset
+const RANGES = {
+    speed: [0, 0.5],
+    amplitude: [0, 3],
+    frequency: [0, 1],
+    colorIntensity: [0, 2],
+    opacity: [0, 1],
+    zDepth: [-10, 10],
+    verticalOffset: [-10, 10]
+};
+
+// Sliders per post effect besides its switch
+const POST_CONTROLS = {
+    chromaticAberration: [['offset', 0, 0.03, 0.0005]],
+    lensDirt: [['intensity', 0, 3, 0.01], ['scale', 0.1, 8, 0.1]],
+    lut: [['intensity', 0, 1, 0.01]],
+    afterimage: [['damp', 0, 0.99, 0.01]],
+    grain: [['intensity', 0, 0.3, 0.005], ['size', 1, 6, 0.1]],
+    vignette: [['offset', 0, 3, 0.01], ['darkness', 0, 3, 0.01]]
+};
+
+// The URL is rewritten once dragging settles
+const URL_UPDATE_DELAY = 300;
+
+const EXPORT_FILE_NAME = 'wave-field-state.json';
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Constants become [value, value] and numeric direction/curve codes their
+// names, so every preset has the same controls
+function normalisePreset(preset) {
+    const normalised = { palette: '', ...preset, camera: { roll: 0, travel: 0, ...preset.camera } };
+    Object.keys(RANGES).forEach((key) => {
+        if (!Array.isArray(normalised[key])) normalised[key] = [normalised[key], normalised[key]];
+    });
+    [['direction', DIRECTIONS], ['curveType', CURVE_TYPES]].forEach(([key, table]) => {
+        if (typeof normalised[key] === 'number') {
+            normalised[key] = Object.keys(table).find((name) => table[name] === normalised[key]) || Object.keys(table)[0];
+        }
+    });
+    return normalised;
+}
+
+export function createDebugPanel(field, { title = 'Wave field' } = {}) {
+    const initialState = field.getState();
+    let state = null;
+    let gui = null;
+    let urlTimer = null;
+
+    function setState(nextState) {
+        state = clone(nextState);
+        state.sections = (state.sections || []).map(normalisePreset);
+    }
+
+    function apply(partial) {
+        field.setOptions(clone(partial));
+        scheduleUrlUpdate();
+    }
+
+    function applySections() {
+        apply({ sections: state.sections });
+    }
+
+    function scheduleUrlUpdate() {
+        clearTimeout(urlTimer);
+        urlTimer = setTimeout(() => {
+            history.replaceState(history.state, '', createStateUrl(state));
+        }, URL_UPDATE_DELAY);
+    }
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    function copyLink() {
+        const url = createStateUrl(state);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).catch(() => window.prompt('Copy this link', url));
+        } else {
+            window.prompt('Copy this link', url);
+        }
+    }
+
+    function download(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    function exportJson() {
+        download(new Blob([JSON.stringify(state, null, 4)], { type: 'application/json' }), EXPORT_FILE_NAME);
+    }
+
+    // Offline render of the current state, see export.js
+    const recording = {
+        width: 1920,
+        height: 1080,
+        fps: 30,
+        duration: 10,
+        seed: 0,
+        format: 'webm'
+    };
+
+    const canSaveFrames = typeof window.showDirectoryPicker === 'function';
+
+    function writeFrame(directory, blob, frameIndex) {
+        return directory.getFileHandle(`wave-field-${String(frameIndex).padStart(5, '0')}.png`, { create: true })
+            .then((handle) => handle.createWritable())
+            .then((writable) => writable.write(blob).then(() => writable.close()));
+    }
+
+    // One download per frame would prompt hundreds of times; frames go to a
+    // folder instead
+    function exportVideo() {
+        const frames = recording.format === 'png'
+            ? window.showDirectoryPicker({ mode: 'readwrite' })
+            : Promise.resolve(null);
+        frames
+            .then((directory) => field.exportFrames({
+                ...recording,
+                onFrame: directory ? (blob, frameIndex) => writeFrame(directory, blob, frameIndex) : null
+            }))
+            .then((result) => {
+                if (result.video) download(result.video, 'wave-field.webm');
+            })
+            .catch((error) => console.warn('wave-field: export failed', error));
+    }
+
+    function importJson() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            file.text()
+                .then((text) => loadState(pickState(JSON.parse(text))))
+                .catch((error) => console.warn('wave-field: could not import state', error));
+        });
+        input.click();
+    }
+
+    function loadState(nextState) {
+        field.setOptions(clone(nextState));
+        setState(field.getState());
+        build();
+        scheduleUrlUpdate();
+    }
+
+    function reset() {
+        loadState(initialState);
+    }
+
+    // ============================================
+    // CONTROLS
+    // ============================================
+
+    function addSectionFolder(parent, preset, index) {
+        const folder = parent.addFolder(`Section ${index + 1}`).close();
+        folder.add(preset, 'lines', 1, 40, 1).onFinishChange(applySections);
+        folder.add(preset, 'direction', Object.keys(DIRECTIONS)).onChange(applySections);
+        folder.add(preset, 'curveType', Object.keys(CURVE_TYPES)).onChange(applySections);
+        // '' falls back to the default palette
+        const palettes = { '(default)': '' };
+        Object.keys(PALETTES).forEach((name) => {
+            palettes[name] = name;
+        });
+        folder.add(preset, 'palette', palettes).onChange(applySections);
+        folder.add(preset, 'phaseStep', 0, 1, 0.01).onChange(applySections);
+
+        // One pair of sliders per range: first and last band of the section
+        Object.keys(RANGES).forEach((key) => {
+            const [min, max] = RANGES[key];
+            const step = (max - min) / 1000;
+            folder.add(preset[key], 0, min, max, step).name(`${key} first`).onChange(applySections);
+            folder.add(preset[key], 1, min, max, step).name(`${key} last`).onChange(applySections);
+        });
+
+        // Position and look-at only where the preset places the camera
+        const { camera } = preset;
+        folder.add(camera, 'roll', -45, 45, 0.5).name('camera roll').onChange(applySections);
+        folder.add(camera, 'travel', -10, 10, 0.1).name('camera travel').onChange(applySections);
+        ['position', 'lookAt'].forEach((key) => {
+            if (!Array.isArray(camera[key])) return;
+            ['x', 'y', 'z'].forEach((axis, i) => {
+                folder.add(camera[key], i, -20, 20, 0.1).name(`camera ${key} ${axis}`).onChange(applySections);
+            });
+        });
+
+        // Streak settings of their own, where the preset has them
+        if (preset.streaks && typeof preset.streaks === 'object') {
+            addStreakControls(folder, preset.streaks, applySections, 'streak ');
+        }
+    }
+
+    function addStreakControls(folder, streaks, onChange, prefix = '') {
+        [
+            ['density', 0, 6, 0.1],
+            ['length', 0.1, 20, 0.1],
+            ['speed', 0, 30, 0.1],
+            ['trail', 0.1, 8, 0.1],
+            ['intensity', 0, 5, 0.01],
+            ['width', 0.5, 6, 0.1]
+        ].forEach(([key, min, max, step]) => {
+            if (streaks[key] === undefined) return;
+            folder.add(streaks, key, min, max, step).name(`${prefix}${key}`).onChange(onChange);
+        });
+    }
+
+    function build() {
+        if (gui) gui.destroy();
+        gui = new GUI({ title });
+
+        const rendering = gui.addFolder('Rendering');
+        rendering.add(state, 'toneMappingExposure', 0, 3, 0.01).name('exposure')
+            .onChange(() => apply({ toneMappingExposure: state.toneMappingExposure }));
+        rendering.add(state.bloom, 'strength', 0, 10, 0.01).name('bloom strength')
+            .onChange(() => apply({ bloom: state.bloom }));
+        rendering.add(state.bloom, 'pulse', 0, 2, 0.01).name('bloom pulse')
+            .onChange(() => apply({ bloom: state.bloom }));
+        rendering.add(state.bloom, 'selective', 0, 1, 0.01).name('bloom cores only')
+            .onChange(() => apply({ bloom: state.bloom }));
+        rendering.add(state.bloom, 'radius', 0, 5, 0.01).name('bloom radius')
+            .onChange(() => apply({ bloom: state.bloom }));
+        rendering.add(state.bloom, 'threshold', 0, 1, 0.01).name('bloom threshold')
+            .onChange(() => apply({ bloom: state.bloom }));
+        rendering.add(state, 'lineWidth', 0.5, 8, 0.1).name('line width')
+            .onChange(() => apply({ lineWidth: state.lineWidth }));
+        rendering.add(state, 'palette', Object.keys(PALETTES)).name('default palette')
+            .onChange(() => apply({ palette: state.palette }));
+
+        const noise = gui.addFolder('Noise');
+        noise.add(state, 'noiseScale', 0, 0.3, 0.001).name('scale')
+            .onChange(() => apply({ noiseScale: state.noiseScale }));
+        noise.add(state, 'noiseStrength', 0, 1, 0.01).name('strength')
+            .onChange(() => apply({ noiseStrength: state.noiseStrength }));
+
+        const camera = gui.addFolder('Camera');
+        camera.add(state, 'fov', 20, 120, 1)
+            .onChange(() => apply({ fov: state.fov }));
+        camera.add(state, 'cameraZ', 2, 30, 0.1).name('distance')
+            .onChange(() => apply({ cameraZ: state.cameraZ }));
+        camera.add(state.camera, 'parallax', 0, 2, 0.01)
+            .onChange(() => apply({ camera: state.camera }));
+        camera.add(state.camera, 'depthFade', 0, 1, 0.01).name('depth fade')
+            .onChange(() => apply({ camera: state.camera }));
+        camera.add(state.camera, 'depthBlur', 0, 4, 0.01).name('depth blur')
+            .onChange(() => apply({ camera: state.camera }));
+        camera.add(state.camera, 'focusRange', 0.5, 20, 0.1).name('focus range')
+            .onChange(() => apply({ camera: state.camera }));
+
+        const streaks = gui.addFolder('Streaks').close();
+        streaks.add(state.streaks, 'enabled')
+            .onChange(() => apply({ streaks: state.streaks }));
+        addStreakControls(streaks, state.streaks, () => apply({ streaks: state.streaks }));
+
+        const data = gui.addFolder('Band data').close();
+        data.add(state.bandData, 'scale', 0, 8, 0.05)
+            .onChange(() => apply({ bandData: state.bandData }));
+        data.add(state.bandData, 'span', 4, 50, 0.5)
+            .onChange(() => apply({ bandData: state.bandData }));
+        data.add(state.bandData, 'smoothing', 0, 16, 1)
+            .onChange(() => apply({ bandData: state.bandData }));
+        data.add(state.bandData, 'transition', 0, 5, 0.05)
+            .onChange(() => apply({ bandData: state.bandData }));
+        data.add(state.bandData, 'weight', 0, 1, 0.01)
+            .onChange(() => apply({ bandData: state.bandData }));
+
+        const post = gui.addFolder('Post effects').close();
+        POST_EFFECTS.forEach((name) => {
+            state.post[name] = { ...DEFAULT_POST_OPTIONS[name], ...state.post[name] };
+            const effect = post.addFolder(name).close();
+            effect.add(state.post[name], 'enabled')
+                .onChange(() => apply({ post: state.post }));
+            POST_CONTROLS[name].forEach(([key, min, max, step]) => {
+                effect.add(state.post[name], key, min, max, step)
+                    .onChange(() => apply({ post: state.post }));
+            });
+        });
+
+        const sections = gui.addFolder('Sections');
+        state.sections.forEach((preset, i) => addSectionFolder(sections, preset, i));
+
+        const actions = gui.addFolder('State');
+        actions.add({ copyLink }, 'copyLink').name('copy link');
+        actions.add({ exportJson }, 'exportJson').name('export JSON');
+        actions.add({ importJson }, 'importJson').name('import JSON');
+        actions.add({ reset }, 'reset');
+
+        const render = gui.addFolder('Export').close();
+        render.add(recording, 'width', 16, 7680, 1);
+        render.add(recording, 'height', 16, 4320, 1);
+        render.add(recording, 'fps', 1, 120, 1);
+        render.add(recording, 'duration', 1, 120, 1);
+        render.add(recording, 'seed');
+        render.add(recording, 'format', canSaveFrames ? ['webm', 'png'] : ['webm']);
+        render.add({ exportVideo }, 'exportVideo').name('render');
+    }
+
+    setState(initialState);
+    build();
+
+    function dispose() {
+        clearTimeout(urlTimer);
+        gui.destroy();
+    }
+
+    return {
+        dispose,
+        get state() {
+            return clone(state);
+        }
+    };
+}
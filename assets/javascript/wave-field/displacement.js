@@ -0,0 +1,235 @@
+// CPU band evaluation
+// A line-for-line mirror of the band vertex shader in shaders.js: where a band
+// sits in world space for the current uniform values. Renderers without the
+// shader (the Canvas 2D fallback) use it to draw the same bands, so any change
+// to the displacement in the shader has to be made here as well.
+
+import { MAX_POINTERS, MAX_RIPPLES } from './pointer.js';
+import { RIBBON_WIDTH } from './bands.js';
+import { MORPH_SAMPLES } from './morph.js';
+import { DATA_SAMPLES } from './data.js';
+
+// ============================================
+// GLSL HELPERS
+// ============================================
+
+function fract(x) {
+    return x - Math.floor(x);
+}
+
+function mix(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0.0), 1.0);
+    return t * t * (3.0 - 2.0 * t);
+}
+
+// GLSL mod() floors, unlike the % operator
+function mod(x, y) {
+    return x - y * Math.floor(x / y);
+}
+
+// ============================================
+// NOISE
+// ============================================
+
+function hash(n) {
+    return fract(Math.sin(n) * 43758.5453);
+}
+
+function noise(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    let fx = x - ix;
+    let fy = y - iy;
+    fx = fx * fx * (3.0 - 2.0 * fx);
+    fy = fy * fy * (3.0 - 2.0 * fy);
+    const n = ix + iy * 57.0;
+    return mix(
+        mix(hash(n + 0.0), hash(n + 1.0), fx),
+        mix(hash(n + 57.0), hash(n + 58.0), fx),
+        fy
+    );
+}
+
+export function fbm(x, y, octaves = 4) {
+    let value = 0.0;
+    let amplitude = 0.5;
+    for (let i = 0; i < octaves; i++) {
+        value += amplitude * noise(x, y);
+        x *= 2.0;
+        y *= 2.0;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+// ============================================
+// BAND PARAMETERS
+// ============================================
+
+// Whether the shader draws the band at all (hidden section or dropped by the
+// quality tier)
+export function isBandVisible(band, uniforms) {
+    const visibility = uniforms.uSectionVisibility.value[band.sectionIndex];
+    return visibility >= 0.001 && band.sectionLine < uniforms.uSectionBandLimit.value[band.sectionIndex];
+}
+
+// The band's parameters after blending towards the next section
+export function resolveBandParams(band, uniforms, out = {}) {
+    const own = band.lineConfig;
+    out.speed = own.speed;
+    out.amplitude = own.amplitude;
+    out.frequency = own.frequency;
+    out.phase = own.phaseOffset;
+    out.verticalOffset = own.verticalOffset;
+    out.direction = own.direction;
+    out.curveType = own.curveType;
+    out.opacity = own.opacity;
+    out.colorIntensity = own.colorIntensity;
+    out.zDepth = own.zDepth;
+    out.index = band.index;
+    out.section = band.sectionIndex;
+    out.sectionLine = band.sectionLine;
+    out.bandLimit = uniforms.uSectionBandLimit.value[band.sectionIndex];
+
+    const section = uniforms.uSection.value;
+    const blend = uniforms.uSectionBlend.value;
+    if (blend > 0.0 && section + 1 < uniforms.uSectionCount.value) {
+        const next = band.targets[section + 1];
+        out.speed = mix(own.speed, next.speed, blend);
+        out.amplitude = mix(own.amplitude, next.amplitude, blend);
+        out.frequency = mix(own.frequency, next.frequency, blend);
+        out.direction = mix(own.direction, next.direction, blend);
+        out.curveType = mix(own.curveType, next.curveType, blend);
+        out.opacity = mix(own.opacity, next.opacity, blend * 0.5);
+    }
+    return out;
+}
+
+// ============================================
+// DISPLACEMENT
+// ============================================
+
+function pointerDisplacement(x, y, uniforms) {
+    let displacement = 0.0;
+    for (let i = 0; i < MAX_POINTERS; i++) {
+        const pointer = uniforms.uPointers.value[i];
+        if (pointer.z < 0.001) continue;
+        const dx = x - pointer.x;
+        const dy = y - pointer.y;
+        const influence = Math.pow(
+            1.0 - smoothstep(0.0, uniforms.uPointerRadius.value, Math.hypot(dx, dy)),
+            uniforms.uPointerFalloff.value
+        );
+        const side = dy / (Math.abs(dy) + 0.15);
+        displacement += side * influence * uniforms.uPointerStrength.value * pointer.z;
+    }
+    return displacement;
+}
+
+function rippleDisplacement(x, y, uniforms) {
+    let displacement = 0.0;
+    const width = uniforms.uRippleWidth.value;
+    for (let i = 0; i < MAX_RIPPLES; i++) {
+        const ripple = uniforms.uRipples.value[i];
+        const age = uniforms.uClock.value - ripple.z;
+        if (ripple.w === 0.0 || age < 0.0) continue;
+        const offset = Math.hypot(x - ripple.x, y - ripple.y) - age * uniforms.uRippleSpeed.value;
+        const front = Math.exp(-(offset * offset) / (width * width));
+        displacement += Math.sin(offset * 6.28318 / uniforms.uRippleWavelength.value)
+            * front * ripple.w * Math.exp(-age * uniforms.uRippleDecay.value);
+    }
+    return displacement;
+}
+
+function getMorphAmount(sectionLine, bandLimit, uniforms) {
+    const stagger = uniforms.uMorphStagger.value;
+    if (uniforms.uMorph.value <= 0.0 || uniforms.uMorphCurveCount.value < 0.5) return 0.0;
+    const order = Math.min(sectionLine / Math.max(bandLimit - 1.0, 1.0), 1.0);
+    return smoothstep(0.0, 1.0, (uniforms.uMorph.value - order * stagger) / Math.max(1.0 - stagger, 0.001));
+}
+
+function sampleMorphCurve(uniforms, curve, t, depth, out) {
+    const { data } = uniforms.uMorphCurves.value.image;
+    const row = curve * MORPH_SAMPLES * 4;
+    const closed = data[row + 3] > 0.5;
+    const x = closed ? fract(t) * MORPH_SAMPLES : Math.min(Math.max(t, 0.0), 1.0) * (MORPH_SAMPLES - 1.0);
+    const i0 = Math.floor(x);
+    const i1 = closed ? mod(i0 + 1.0, MORPH_SAMPLES) : Math.min(i0 + 1.0, MORPH_SAMPLES - 1.0);
+    const a = row + i0 * 4;
+    const b = row + i1 * 4;
+    const size = uniforms.uMorphSize.value;
+    const position = uniforms.uMorphPosition.value;
+    return out.set(
+        mix(data[a], data[b], x - i0) * size + position.x,
+        mix(data[a + 1], data[b + 1], x - i0) * size + position.y,
+        position.z + depth
+    );
+}
+
+function readBandData(uniforms, band, x, section) {
+    const { data } = uniforms.uBandData.value.image;
+    const t = Math.min(Math.max(x / section.w + 0.5, 0.0), 1.0) * (DATA_SAMPLES - 1.0);
+    const i0 = Math.floor(t);
+    const i1 = Math.min(i0 + 1.0, DATA_SAMPLES - 1.0);
+    const a = (band * DATA_SAMPLES + i0) * 4;
+    const b = (band * DATA_SAMPLES + i1) * 4;
+    const previous = mix(data[a], data[b], t - i0);
+    const current = mix(data[a + 1], data[b + 1], t - i0);
+    return mix(previous, current, section.y) * section.z;
+}
+
+// World position of a band's centre line at `progress` (0.0 to 1.0 along
+// the ribbon), written into `out` (a THREE.Vector3)
+export function displaceBand(params, progress, uniforms, octaves, out) {
+    const time = uniforms.uTime.value;
+    const speed = params.speed * uniforms.uSpeedScale.value;
+    const amplitude = params.amplitude * uniforms.uAmplitudeScale.value;
+    const frequency = params.frequency * uniforms.uFrequencyScale.value;
+    const noiseScale = uniforms.uNoiseScale.value;
+
+    let x = (progress - 0.5) * RIBBON_WIDTH;
+    let y = 0.0;
+
+    const curveStrengthMult = 1.0 + params.curveType * 0.5;
+    const wavePhase = frequency * x + params.phase + mod(time * speed, 6.28318);
+    const sineWave = Math.sin(wavePhase) * amplitude * curveStrengthMult;
+    const secondaryWave = Math.sin(wavePhase * (1.5 + params.curveType * 0.2) + time * speed * 0.5)
+        * amplitude * 0.3 * curveStrengthMult;
+    const noiseValue = fbm(x * noiseScale + time * 0.06, y * noiseScale + time * 0.04, octaves)
+        * uniforms.uNoiseStrength.value * curveStrengthMult;
+
+    let verticalDisplacement = sineWave + secondaryWave + noiseValue;
+
+    const dataSection = uniforms.uDataSections.value[params.section];
+    const ownSection = Math.abs(params.section - uniforms.uSection.value) < 0.5 ? 1.0 : 0.0;
+    const dataWeight = dataSection.x * (1.0 - uniforms.uSectionBlend.value * ownSection);
+    if (dataWeight > 0.0) {
+        const dataValue = readBandData(uniforms, params.index, x, dataSection) + noiseValue;
+        verticalDisplacement = mix(verticalDisplacement, dataValue, dataWeight);
+    }
+
+    y += verticalDisplacement + params.verticalOffset;
+    if (params.direction >= 0.5 && params.direction < 1.5) {
+        x += verticalDisplacement * 0.15;
+    } else if (params.direction >= 1.5) {
+        x -= verticalDisplacement * 0.15;
+    }
+
+    y *= 0.7 + 0.3 * Math.sin(progress * 3.14159);
+    y += pointerDisplacement(x, y, uniforms) + rippleDisplacement(x, y, uniforms);
+
+    const morph = getMorphAmount(params.sectionLine, params.bandLimit, uniforms);
+    if (morph > 0.0) {
+        const curveCount = uniforms.uMorphCurveCount.value;
+        const layers = Math.ceil(params.bandLimit / curveCount);
+        const depth = (Math.floor(params.sectionLine / curveCount) - (layers - 1.0) * 0.5) * uniforms.uMorphSpread.value;
+        sampleMorphCurve(uniforms, mod(params.sectionLine, curveCount), progress, depth, out);
+        return out.set(mix(x, out.x, morph), mix(y, out.y, morph), mix(params.zDepth, out.z, morph));
+    }
+
+    return out.set(x, y, params.zDepth);
+}
@@ -0,0 +1,24 @@
+// Easing curves shared by section transitions and timeline keyframes
+// Every curve maps 0.0 -> 0.0 and 1.0 -> 1.0
+
+// Smooth easing function (cubic ease-in-out) for Apple-level smoothness
+export function smoothEase(t) {
+    return t < 0.5
+        ? 4 * t * t * t
+        : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export const EASINGS = {
+    linear: (t) => t,
+    smooth: smoothEase,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    sine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    step: (t) => (t < 1 ? 0 : 1)
+};
+
+// Look up an easing by name, or pass a custom function straight through
+export function getEasing(ease) {
+    if (typeof ease === 'function') return ease;
+    return EASINGS[ease] || EASINGS.linear;
+}
@@ -0,0 +1,139 @@
+// <wave-field> custom element
+// The wave field as a component that markup alone can place, any number of
+// times per page: it sizes to its own box and follows its own position in the
+// window instead of the page's scroll (the field's 'element' scope, see
+// index.js). Importing this module defines the element.
+//
+//   <wave-field preset="horizontal diagonal-right" palette="sunset"></wave-field>
+//
+// Attributes, each applied live:
+//   preset    section presets, separated by spaces or commas; default the
+//             field's own sections, else data-wave-preset on .section children
+//   palette   palette name for the sections
+//   palettes  JSON file of extra palettes
+//   quality   'auto' | 'low' | 'medium' | 'high'
+//   progress  fixed progress through the sections (0 to 1) in place of the
+//             element's position in the window
+//   renderer  as the renderer option; default 'shared', one WebGL context for
+//             every element on the page
+//   options   any other options as JSON, read when the field is created
+//   paused    present to stop the animation
+//
+// The field is created when the element is connected and disposed when it is
+// removed; moving it within the page keeps it. element.field is the field's
+// controller while connected.
+
+import { createWaveField } from './index.js';
+
+const STYLE = `
+:where(wave-field) {
+    display: block;
+    position: relative;
+    min-height: 12rem;
+    overflow: hidden;
+    isolation: isolate;
+}
+
+:where(wave-field) > canvas {
+    position: absolute;
+    top: 0;
+    left: 0;
+    z-index: -1;
+}
+`;
+
+// Once per document, ahead of the page's own styles
+function injectStyle() {
+    if (document.querySelector('style[data-wave-field]')) return;
+    const style = document.createElement('style');
+    style.dataset.waveField = '';
+    style.textContent = STYLE;
+    document.head.prepend(style);
+}
+
+function parsePresets(value) {
+    if (value === null) return null;
+    const names = value.split(/[\s,]+/).filter(Boolean);
+    return names.length > 0 ? names : null;
+}
+
+function parseProgress(value) {
+    if (value === null || value.trim() === '') return null;
+    const progress = Number(value);
+    return Number.isFinite(progress) ? progress : null;
+}
+
+function parseOptions(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn('wave-field: invalid options attribute', error);
+        return {};
+    }
+}
+
+// The field options an attribute maps to
+const ATTRIBUTE_OPTIONS = {
+    preset: (value) => ({ sections: parsePresets(value) }),
+    palette: (value) => ({ palette: value || 'default' }),
+    palettes: (value) => ({ palettes: value || null }),
+    quality: (value) => ({ quality: value || 'auto' }),
+    progress: (value) => ({ progress: parseProgress(value) }),
+    renderer: (value) => ({ renderer: value || 'shared' })
+};
+
+export class WaveFieldElement extends HTMLElement {
+    static get observedAttributes() {
+        return [...Object.keys(ATTRIBUTE_OPTIONS), 'paused'];
+    }
+
+    constructor() {
+        super();
+        this._field = null;
+    }
+
+    get field() {
+        return this._field;
+    }
+
+    connectedCallback() {
+        if (this._field) return;
+        injectStyle();
+
+        const options = { renderer: 'shared', ...parseOptions(this.getAttribute('options')) };
+        Object.entries(ATTRIBUTE_OPTIONS).forEach(([name, toOptions]) => {
+            if (this.hasAttribute(name)) Object.assign(options, toOptions(this.getAttribute(name)));
+        });
+
+        this._field = createWaveField(this, { ...options, scope: 'element' });
+        if (!this.hasAttribute('paused')) this._field.start();
+    }
+
+    // A move within the page disconnects and reconnects in one task, so the
+    // field is only disposed if the element is still out of the page after it
+    disconnectedCallback() {
+        queueMicrotask(() => {
+            if (this.isConnected || !this._field) return;
+            this._field.dispose();
+            this._field = null;
+        });
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (!this._field || previous === value) return;
+        if (name === 'paused') {
+            if (value === null) {
+                this._field.start();
+            } else {
+                this._field.pause();
+            }
+            return;
+        }
+        this._field.setOptions(ATTRIBUTE_OPTIONS[name](value));
+    }
+}
+
+if (!customElements.get('wave-field')) {
+    customElements.define('wave-field', WaveFieldElement);
+}
@@ -0,0 +1,156 @@
+// Offline export
+// Renders the field frame by frame from a fixed timestep and a scripted scroll
+// path instead of the clock and the page scroll, so the same options always
+// give the same frames. What the live page left behind (pointer, hover
+// highlight, parallax, afterimage trails, data transitions) is cleared first,
+// and band data streams hold until the export ends. Frames come out as a PNG
+// sequence, or are recorded into a WebM through canvas.captureStream() and
+// MediaRecorder.
+//
+//   const { frames } = await field.exportFrames({ duration: 8, fps: 30 });
+//   const { video } = await field.exportFrames({ format: 'webm', seed: 7 });
+//
+// The scroll path is a list of keyframes in seconds and section positions,
+// where 2.5 is halfway through the third section:
+//
+//   path: [{ at: 0, section: 0 }, { at: 6, section: 3, ease: 'smooth' }]
+
+import { getEasing } from './easing.js';
+
+export const DEFAULT_EXPORT_OPTIONS = {
+    width: 1920,        // output size in CSS pixels
+    height: 1080,
+    pixelRatio: 1,      // device pixels per CSS pixel; lines stay lineWidth CSS pixels
+    fps: 30,
+    duration: 10,       // seconds
+    seed: 0,            // number or string; picks the point in the animation to start from
+    path: null,         // scroll keyframes, default: first to last section over the duration
+    quality: 'high',    // tier to render with; export never adapts
+    format: 'png',      // 'png' | 'webm'
+    mimeType: 'video/webm;codecs=vp9',
+    videoBitsPerSecond: 12000000,
+    signal: null,       // AbortSignal to cancel the export
+    onFrame: null,      // (blob, frameIndex) receives PNG frames instead of collecting them
+    onProgress: null    // (frameIndex, frameCount) after every frame
+};
+
+// Longest stretch of animation a seed can skip ahead
+const SEED_TIME_SPAN = 600;
+
+// FNV-1a over the seed's string form, mapped to a start time in seconds
+export function seedToTime(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return ((hash >>> 0) / 4294967296) * SEED_TIME_SPAN;
+}
+
+// Section position at `seconds` along the keyframed path
+export function createScrollPath(path, sectionCount, duration) {
+    const keyframes = (path && path.length > 0)
+        ? [...path].sort((a, b) => a.at - b.at)
+        : [
+            { at: 0, section: 0 },
+            { at: duration, section: Math.max(sectionCount - 1, 0), ease: 'smooth' }
+        ];
+
+    return function getSectionPosition(seconds) {
+        if (seconds <= keyframes[0].at) return keyframes[0].section;
+        for (let i = 1; i < keyframes.length; i++) {
+            const previous = keyframes[i - 1];
+            const next = keyframes[i];
+            if (seconds <= next.at) {
+                const span = next.at - previous.at;
+                const t = span > 0 ? (seconds - previous.at) / span : 1;
+                return previous.section + (next.section - previous.section) * getEasing(next.ease)(t);
+            }
+        }
+        return keyframes[keyframes.length - 1].section;
+    };
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ============================================
+// FRAME OUTPUTS
+// ============================================
+
+// toBlob() is called right after rendering, before the browser may clear a
+// WebGL drawing buffer. Long exports should pass onFrame rather than hold
+// every frame in memory.
+export function createPngSequence(canvas, { onFrame } = {}) {
+    const frames = [];
+    let frameIndex = 0;
+
+    async function addFrame() {
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob((encoded) => {
+                if (encoded) resolve(encoded);
+                else reject(new Error('wave-field: could not encode a PNG frame'));
+            }, 'image/png');
+        });
+        if (onFrame) await onFrame(blob, frameIndex);
+        else frames.push(blob);
+        frameIndex++;
+    }
+
+    async function finish() {
+        return { frames };
+    }
+
+    function cancel() {
+        frames.length = 0;
+    }
+
+    return { addFrame, finish, cancel };
+}
+
+// MediaRecorder stamps frames with wall-clock time, so frames are handed over
+// at the target rate: the content is exact, the encoder sees a steady stream
+export function createWebmRecorder(canvas, { fps, mimeType, videoBitsPerSecond }) {
+    if (typeof canvas.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+        throw new Error('wave-field: WebM export needs canvas.captureStream() and MediaRecorder');
+    }
+    if (!MediaRecorder.isTypeSupported(mimeType)) {
+        console.warn(`wave-field: ${mimeType} is not supported, using the browser's WebM default`);
+        mimeType = 'video/webm';
+    }
+
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.start();
+
+    const frameDuration = 1000 / fps;
+
+    async function addFrame() {
+        track.requestFrame();
+        await delay(frameDuration);
+    }
+
+    function finish() {
+        return new Promise((resolve) => {
+            recorder.addEventListener('stop', () => {
+                track.stop();
+                resolve({ video: new Blob(chunks, { type: mimeType }) });
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+
+    function cancel() {
+        if (recorder.state !== 'inactive') recorder.stop();
+        track.stop();
+    }
+
+    return { addFrame, finish, cancel };
+}
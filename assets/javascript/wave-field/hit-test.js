@@ -0,0 +1,223 @@
+// Band hit-testing
+// Finds the band under the mouse by evaluating the band displacement on the
+// CPU (displacement.js) around the pointer and measuring the distance on
+// screen. The container receives bubbling events, each with the band's
+// section and index in `detail`:
+//
+//   bandenter   a band comes under the mouse (or moves under a still mouse)
+//   bandleave   it leaves again
+//   bandclick   a click or tap lands on a band
+//
+// The hovered band is highlighted in the shaders through uHighlightBand and
+// uHighlight.
+
+import * as THREE from 'three';
+import { RIBBON_WIDTH } from './bands.js';
+import { displaceBand, isBandVisible, resolveBandParams } from './displacement.js';
+import { getAvoidPush } from './avoid.js';
+
+export const DEFAULT_BAND_EVENT_OPTIONS = {
+    enabled: true,
+    radius: 10,           // CSS pixels from a band's centre line that count as a hit
+    minVisibility: 0.5,   // fading bands of neighbouring sections are not hit
+    sections: null,       // section indices to test, null for all
+    highlight: true,      // brighten the hovered band
+    highlightEase: 0.15
+};
+
+// World units either side of the pointer searched along each band; covers
+// the diagonal skew of the displacement
+const SEARCH_SPAN = 1.5;
+const SEARCH_SAMPLES = 16;
+
+// Bands on their way to the finale shape can pass anywhere on screen, so
+// they are searched end to end
+const MORPH_SEARCH_SAMPLES = 128;
+
+export function createHighlightUniforms() {
+    return {
+        uHighlightBand: { value: -1 },
+        uHighlight: { value: 0 }
+    };
+}
+
+export function createBandHitTester({ camera, element, uniforms, getBandTable, getOctaves, options = {} }) {
+    let hitOptions = { ...DEFAULT_BAND_EVENT_OPTIONS, ...options };
+
+    // Latest mouse position over the page, null when outside
+    let hover = null;
+    let hovered = null;
+
+    const params = {};
+    const point = new THREE.Vector3();
+    const previous = new THREE.Vector2();
+    const ray = new THREE.Vector3();
+
+    // Where the pointer's ray crosses the plane z = depth
+    function getWorldX(ndcX, ndcY, depth) {
+        ray.set(ndcX, ndcY, 0.5).unproject(camera).sub(camera.position).normalize();
+        const distance = ray.z !== 0 ? (depth - camera.position.z) / ray.z : 0;
+        return camera.position.x + ray.x * distance;
+    }
+
+    function project(out, rect) {
+        out.project(camera);
+        out.x = (out.x + 1) * 0.5 * rect.width;
+        out.y = (1 - out.y) * 0.5 * rect.height;
+        return out;
+    }
+
+    function distanceToSegment(px, py, ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / lengthSquared, 0), 1)
+            : 0;
+        return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+    }
+
+    // Closest visible band to a client position within the hit radius
+    function getBandAt(clientX, clientY) {
+        const bandTable = getBandTable();
+        if (!bandTable) return null;
+
+        const rect = element.getBoundingClientRect();
+        const px = clientX - rect.left;
+        const py = clientY - rect.top;
+        if (px < 0 || py < 0 || px > rect.width || py > rect.height) return null;
+
+        const ndcX = (px / rect.width) * 2 - 1;
+        const ndcY = -(py / rect.height) * 2 + 1;
+        const octaves = getOctaves();
+        camera.updateMatrixWorld();
+
+        let best = null;
+        let bestDistance = hitOptions.radius;
+
+        bandTable.bands.forEach((band) => {
+            if (!isBandVisible(band, uniforms)) return;
+            if (uniforms.uSectionVisibility.value[band.sectionIndex] < hitOptions.minVisibility) return;
+            if (hitOptions.sections && !hitOptions.sections.includes(band.sectionIndex)) return;
+
+            resolveBandParams(band, uniforms, params);
+            const morphing = uniforms.uMorph.value > 0 && uniforms.uMorphCurveCount.value > 0;
+            const centre = morphing ? 0.5 : getWorldX(ndcX, ndcY, params.zDepth) / RIBBON_WIDTH + 0.5;
+            const span = morphing ? 0.5 : SEARCH_SPAN / RIBBON_WIDTH;
+            const samples = morphing ? MORPH_SEARCH_SAMPLES : SEARCH_SAMPLES;
+
+            for (let i = 0; i <= samples; i++) {
+                const progress = centre - span + (2 * span * i) / samples;
+                if (progress < 0 || progress > 1) continue;
+                project(displaceBand(params, progress, uniforms, octaves, point), rect);
+                point.y += getAvoidPush(uniforms, point.x, point.y);
+                if (i > 0) {
+                    const distance = distanceToSegment(px, py, previous.x, previous.y, point.x, point.y);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = band;
+                    }
+                }
+                previous.set(point.x, point.y);
+            }
+        });
+
+        if (!best) return null;
+        return {
+            band: best.index,
+            section: best.sectionIndex,
+            line: best.sectionLine,
+            distance: bestDistance
+        };
+    }
+
+    function dispatch(type, hit, clientX, clientY) {
+        element.dispatchEvent(new CustomEvent(type, {
+            bubbles: true,
+            detail: { ...hit, clientX, clientY }
+        }));
+    }
+
+    // ============================================
+    // POINTER EVENTS
+    // ============================================
+
+    // Hover only follows mice and pens; touch has no hover and its moves
+    // are mostly scrolling
+    function handlePointerMove(event) {
+        if (event.pointerType === 'touch') return;
+        hover = { clientX: event.clientX, clientY: event.clientY };
+    }
+
+    function handlePointerOut(event) {
+        if (event.relatedTarget === null) hover = null;
+    }
+
+    function handleClick(event) {
+        if (!hitOptions.enabled) return;
+        const hit = getBandAt(event.clientX, event.clientY);
+        if (hit) dispatch('bandclick', hit, event.clientX, event.clientY);
+    }
+
+    window.addEventListener('pointermove', handlePointerMove, { passive: true });
+    document.addEventListener('pointerout', handlePointerOut, { passive: true });
+    window.addEventListener('click', handleClick);
+
+    // ============================================
+    // PER FRAME
+    // ============================================
+
+    // Bands move under a still mouse too, so hover is re-tested every frame
+    function update() {
+        let hit = null;
+        if (hitOptions.enabled && hover) {
+            hit = getBandAt(hover.clientX, hover.clientY);
+        }
+
+        const hoveredBand = hovered ? hovered.band : -1;
+        const hitBand = hit ? hit.band : -1;
+        if (hitBand !== hoveredBand) {
+            if (hovered) dispatch('bandleave', hovered, hover ? hover.clientX : 0, hover ? hover.clientY : 0);
+            if (hit) {
+                dispatch('bandenter', hit, hover.clientX, hover.clientY);
+                uniforms.uHighlightBand.value = hit.band;
+                uniforms.uHighlight.value = 0;
+            }
+        }
+        hovered = hit;
+
+        // The highlight fades out on the band that was left
+        const target = hovered && hitOptions.highlight ? 1 : 0;
+        uniforms.uHighlight.value += (target - uniforms.uHighlight.value) * hitOptions.highlightEase;
+    }
+
+    // Drop hover and highlight at once
+    function reset() {
+        if (hovered) dispatch('bandleave', hovered, 0, 0);
+        hovered = null;
+        uniforms.uHighlightBand.value = -1;
+        uniforms.uHighlight.value = 0;
+    }
+
+    function setOptions(nextOptions = {}) {
+        hitOptions = { ...hitOptions, ...nextOptions };
+        if (!hitOptions.enabled) reset();
+    }
+
+    function dispose() {
+        window.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerout', handlePointerOut);
+        window.removeEventListener('click', handleClick);
+    }
+
+    return {
+        update,
+        getBandAt,
+        reset,
+        setOptions,
+        dispose,
+        get hovered() {
+            return hovered;
+        }
+    };
+}
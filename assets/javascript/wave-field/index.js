@@ -0,0 +1,1430 @@
+// Smooth Light-Wave Bands Animation
+// Horizontally-dominant ribbon surfaces creating continuous wave fields
+//
+// createWaveField(container, options) mounts the wave field into a container
+// element and returns a controller. Nothing runs until start() is called, and
+// dispose() tears everything down so the field can be mounted again elsewhere.
+// The <wave-field> element (element.js) wraps it for markup-only pages.
+
+import * as THREE from 'three';
+import { vertexShader, fragmentShader } from './shaders.js';
+import { createWebGLRenderer } from './webgl-renderer.js';
+import { DEFAULT_WORKER_OPTIONS, createWorkerRenderer } from './worker-renderer.js';
+import { createCanvasRenderer } from './canvas-renderer.js';
+import { MAX_SECTIONS, createBandTable, createRibbonGeometry } from './bands.js';
+import { createSectionTracker } from './sections.js';
+import { createTimeline, applyBlend } from './timeline.js';
+import { getEasing } from './easing.js';
+import { DEFAULT_POINTER_OPTIONS, DEFAULT_RIPPLE_OPTIONS, createPointerInput, createPointerUniforms } from './pointer.js';
+import { DEFAULT_MOTION_OPTIONS, createMotionMonitor } from './motion.js';
+import { DEFAULT_BAND_EVENT_OPTIONS, createBandHitTester, createHighlightUniforms } from './hit-test.js';
+import { DEFAULT_AVOID_OPTIONS, createAvoidUniforms, createAvoidZones } from './avoid.js';
+import { DEFAULT_CAMERA_OPTIONS, createCameraRig, createDepthUniforms } from './camera.js';
+import { createMorph, createMorphUniforms } from './morph.js';
+import { DEFAULT_STREAK_OPTIONS, createStreakLayer, resolveStreaks } from './streaks.js';
+import { DEFAULT_BAND_DATA_OPTIONS, createBandData, createBandDataUniforms } from './data.js';
+import { DEFAULT_POST_OPTIONS, blendPost, createPostState, resolvePost } from './post.js';
+import { QUALITY_TIERS, createQualityGovernor } from './quality.js';
+import { createPaletteUniforms, loadPalettes, registerPalette, resolvePalette, writePalette } from './palettes.js';
+import { DEFAULT_SECTION_PRESETS, buildSectionLines, readSectionPreset, resolvePreset } from './presets.js';
+import { loadState, pickState } from './state.js';
+import {
+    DEFAULT_EXPORT_OPTIONS,
+    createPngSequence,
+    createScrollPath,
+    createWebmRecorder,
+    seedToTime
+} from './export.js';
+
+// ============================================
+// DEFAULT OPTIONS
+// ============================================
+
+const DEFAULT_OPTIONS = {
+    // Deep navy-to-black gradient background (matches CSS)
+    background: 0x0a0a1a,
+    fov: 65,
+    cameraZ: 8,
+    // Mouse parallax and depth of field; sections place the camera through
+    // the "camera" field of their preset, see camera.js
+    camera: { ...DEFAULT_CAMERA_OPTIONS },
+    // 'page' is the page's fixed background: sized to the window and driven by
+    // the page's scroll and section elements. 'element' keeps the field to
+    // its container: sized to the container's box and driven by the
+    // container's travel through the window, with section and avoid
+    // elements looked up inside it. Fixed when the field is created.
+    scope: 'page',
+    // Element scope: a fixed progress (0.0 to 1.0) through the sections in
+    // place of the container's position
+    progress: null,
+    maxPixelRatio: 2,
+    // 'auto' adapts to the measured frame time; 'low' | 'medium' | 'high' pins a tier
+    quality: 'auto',
+    // 'auto' renders with WebGL on the main thread, else Canvas 2D; 'worker'
+    // opts in to drawing from a worker through an OffscreenCanvas (needs
+    // worker.shims; the simulation stays on the main thread), see
+    // worker-renderer.js; 'webgl' | 'canvas' start from that renderer.
+    // 'shared' renders on the main thread with one WebGL context for every
+    // field using it, see webgl-renderer.js
+    renderer: 'auto',
+    // Module loading and timeouts for the render worker, see worker-renderer.js
+    worker: { ...DEFAULT_WORKER_OPTIONS },
+    // ms to wait for a lost WebGL context to come back before falling back
+    contextRestoreTimeout: 3000,
+    toneMappingExposure: 1.2,
+    bloom: {
+        strength: 3.5,  // for 2px line visibility
+        pulse: 0.4,     // slow swell of the strength either way, none when motion is reduced
+        selective: 0.0, // 0.0 blooms the whole frame, 1.0 only the band cores, see post.js
+        radius: 3.2,    // increased for better glow
+        threshold: 0.6  // lowered to capture thin lines
+    },
+    // Screen effects after the bloom (grain, vignette, chromatic aberration,
+    // lens dirt, trails, colour grading), set per section through the "post"
+    // field of its preset, see post.js
+    post: { ...DEFAULT_POST_OPTIONS },
+    noiseScale: 0.05,     // Reduced for smoother curves
+    noiseStrength: 0.10,  // Reduced for less randomness
+    lineWidth: 2,         // CSS pixels, regardless of camera or viewport
+    scrollEase: 0.02,
+    // goToSection() tweens the page and the wave together: seconds per
+    // viewport height travelled (square-rooted, so long jumps stay brisk),
+    // capped at maxDuration
+    jump: {
+        duration: 1.1,
+        maxDuration: 2.4,
+        easing: 'smooth'
+    },
+    // Local band bending around pointers and click/tap ripples, see pointer.js
+    pointer: { ...DEFAULT_POINTER_OPTIONS },
+    ripple: { ...DEFAULT_RIPPLE_OPTIONS },
+    // Band hover/click events and highlight, see hit-test.js
+    bandEvents: { ...DEFAULT_BAND_EVENT_OPTIONS },
+    // Elements the bands dim behind, bend around or keep the bloom off,
+    // see avoid.js
+    avoid: { ...DEFAULT_AVOID_OPTIONS },
+    // Light streaks along the bands of sections whose preset asks for them,
+    // off until enabled, see streaks.js
+    streaks: { ...DEFAULT_STREAK_OPTIONS },
+    // Defaults for numeric series shaping a section's bands (setBandData or
+    // data-wave-data on the section), see data.js
+    bandData: { ...DEFAULT_BAND_DATA_OPTIONS },
+    // prefers-reduced-motion, pausing when hidden and idle throttling, see motion.js
+    motion: { ...DEFAULT_MOTION_OPTIONS },
+    // Elements whose data-wave-preset describes each section's bands
+    sectionSelector: '.section',
+    // Optional array of preset names/objects that replaces the DOM lookup
+    sections: null,
+    // Scroll keyframes and section crossfade, see timeline.js. Sections can
+    // add their own tracks through data-wave-timeline.
+    timeline: null,
+    // Palette for sections without data-wave-palette
+    palette: 'default',
+    // Extra palettes: a JSON file URL or an object of named palettes
+    palettes: null,
+    // Tuning state exported from the debug panel, as an object or a JSON file
+    // URL; applied over the other options, see state.js
+    state: null
+};
+
+export function createWaveField(container, options = {}) {
+    if (!container) {
+        throw new Error('createWaveField: a container element is required');
+    }
+
+    let settings = mergeOptions(DEFAULT_OPTIONS, options);
+    if (settings.state && typeof settings.state === 'object') {
+        settings = mergeOptions(settings, pickState(settings.state));
+    }
+
+    // `running` is what the caller asked for; the loop itself also stops
+    // while the field is hidden and picks up again when it is visible.
+    // Declared ahead of everything that can call back into the controller.
+    let running = false;
+    let disposed = false;
+
+    // Frame-time driven quality tiers, see quality.js
+    const qualityGovernor = createQualityGovernor({
+        mode: settings.quality,
+        onChange: handleQualityChange
+    });
+    let quality = qualityGovernor.settings;
+
+    function getPixelRatio() {
+        return Math.min(window.devicePixelRatio, settings.maxPixelRatio, quality.pixelRatio);
+    }
+
+    // The field's size in CSS pixels: the window, or the container's box in
+    // element scope
+    const elementScope = settings.scope === 'element';
+    const viewport = { width: 1, height: 1 };
+
+    function measureViewport() {
+        viewport.width = Math.max(1, elementScope ? container.clientWidth : window.innerWidth);
+        viewport.height = Math.max(1, elementScope ? container.clientHeight : window.innerHeight);
+    }
+
+    measureViewport();
+
+    // ============================================
+    // SCENE & CAMERA
+    // ============================================
+
+    const camera = new THREE.PerspectiveCamera(
+        settings.fov,
+        viewport.width / viewport.height,
+        0.1,
+        10000
+    );
+    camera.position.set(0, 0, settings.cameraZ);
+
+    // Per-section camera states, parallax and focus, see camera.js
+    const depthUniforms = createDepthUniforms();
+    const cameraRig = createCameraRig({
+        camera,
+        element: container,
+        uniforms: depthUniforms,
+        options: settings.camera
+    });
+
+    // Everything the renderer needs besides the scene, driven each frame by
+    // the palettes and the timeline
+    const frameState = {
+        background: new THREE.Color(settings.background),
+        exposure: settings.toneMappingExposure,
+        bloom: { ...settings.bloom },
+        // No-bloom avoid zones, filled in by the avoid zones below
+        bloomMask: null,
+        // The sections' post chains blended for the current scroll position
+        post: createPostState()
+    };
+
+    const scene = new THREE.Scene();
+    scene.background = frameState.background;
+
+    // ============================================
+    // WAVE BANDS
+    // ============================================
+
+    // Uniform objects shared with the band material
+    const paletteUniforms = createPaletteUniforms();
+    const pointerUniforms = createPointerUniforms();
+    const highlightUniforms = createHighlightUniforms();
+    const avoidUniforms = createAvoidUniforms();
+    const morphUniforms = createMorphUniforms();
+    const bandDataUniforms = createBandDataUniforms();
+
+    const waveUniforms = {
+        uBandTable: { value: null },
+        uBandTableSize: { value: new THREE.Vector2(1, 1) },
+        uTime: { value: 0 },
+        // Set by the renderer while it draws the selective bloom source
+        uBloomCore: { value: 0 },
+        uNoiseScale: { value: settings.noiseScale },
+        uNoiseStrength: { value: settings.noiseStrength },
+        uSpeedScale: { value: 1.0 },
+        uAmplitudeScale: { value: 1.0 },
+        uFrequencyScale: { value: 1.0 },
+        uOpacityScale: { value: 1.0 },
+        uSection: { value: 0 },
+        uSectionCount: { value: 1 },
+        uSectionBlend: { value: 0.0 },
+        // Smoothed per-section visibility, starting fully visible
+        uSectionVisibility: { value: new Array(MAX_SECTIONS).fill(1.0) },
+        uSectionBandLimit: { value: new Array(MAX_SECTIONS).fill(0) },
+        uLineWidth: { value: settings.lineWidth },
+        uResolution: { value: new THREE.Vector2(viewport.width, viewport.height) },
+        ...paletteUniforms,
+        ...pointerUniforms,
+        ...highlightUniforms,
+        ...avoidUniforms,
+        ...depthUniforms,
+        ...morphUniforms,
+        ...bandDataUniforms
+    };
+
+    // One material and one instanced ribbon for every band of every section
+    const waveMaterial = new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        defines: {
+            FBM_OCTAVES: quality.octaves
+        },
+        uniforms: waveUniforms,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+
+    const waveMesh = new THREE.Mesh(createRibbonGeometry(quality.segments, 0), waveMaterial);
+    // Displacement happens in the shader, so the plane's bounds mean nothing
+    waveMesh.frustumCulled = false;
+    scene.add(waveMesh);
+
+    // Streaks along the bands, drawn by the same shaders
+    const streakLayer = createStreakLayer({
+        uniforms: waveUniforms,
+        vertexShader,
+        fragmentShader,
+        octaves: quality.octaves
+    });
+    scene.add(streakLayer.mesh);
+
+    // Band records and the band table texture, see bands.js
+    let bandTable = null;
+
+    // Line configs per section, built from the section presets
+    let sectionPresets = [];
+    let sectionLines = [];
+    let sectionCrossfades = [];
+    let sectionPosts = [];
+
+    // Scroll keyframes for uniforms, bloom, camera and background
+    const timeline = createTimeline();
+
+    // The finale section's shape the bands converge on, see morph.js
+    const morph = createMorph({ uniforms: morphUniforms });
+
+    // Numeric series shaping section bands, see data.js
+    const bandData = createBandData({ uniforms: bandDataUniforms, options: settings.bandData });
+
+    // data-wave-data file per section, loaded once per URL
+    let sectionDataSources = [];
+
+    function configureTimeline(elements) {
+        timeline.setDefinition(settings.timeline || {});
+        elements.forEach((element, sectionIndex) => {
+            const tracks = readSectionTracks(element);
+            if (tracks) timeline.addSectionTracks(sectionIndex, tracks);
+        });
+    }
+
+    function readSectionTracks(element) {
+        const declared = element.dataset.waveTimeline;
+        if (!declared) return null;
+        try {
+            const parsed = JSON.parse(declared);
+            return Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            console.warn('wave-field: invalid data-wave-timeline JSON', element, error);
+            return null;
+        }
+    }
+
+    // Section elements on the page, tracked for their real layout
+    const sectionTracker = createSectionTracker([]);
+
+    // In element scope only the container's own section elements count; the
+    // page's field leaves out those of <wave-field> elements (element.js)
+    function getSectionElements() {
+        if (elementScope) return Array.from(container.querySelectorAll(settings.sectionSelector));
+        return Array.from(document.querySelectorAll(settings.sectionSelector))
+            .filter((element) => !element.closest('wave-field'));
+    }
+
+    // Presets come from options.sections, else from data-wave-preset on the
+    // page's section elements, else from the built-in three-section story
+    function readSectionPresets(elements) {
+        if (Array.isArray(settings.sections)) {
+            return settings.sections.map((preset) => resolvePreset(preset));
+        }
+        if (elements.length === 0) {
+            return DEFAULT_SECTION_PRESETS.map((name) => resolvePreset(name));
+        }
+        return elements.map((element, i) => (
+            readSectionPreset(element, DEFAULT_SECTION_PRESETS[Math.min(i, DEFAULT_SECTION_PRESETS.length - 1)])
+        ));
+    }
+
+    // Create separate, distinct wave bands for every section
+    function buildWaveBands() {
+        const elements = getSectionElements();
+        if (!elementScope) sectionTracker.setElements(elements);
+
+        const presets = readSectionPresets(elements).slice(0, MAX_SECTIONS);
+        sectionPresets = presets;
+        sectionLines = presets.map((preset, sectionIndex) => (
+            buildSectionLines(preset, sectionIndex)
+        ));
+        sectionCrossfades = presets.map((preset) => preset.crossfade);
+        configurePost();
+        cameraRig.setSections(presets.map((preset) => preset.camera));
+        morph.setSections(presets);
+
+        configureTimeline(elements);
+        configurePalettes(elements, presets);
+
+        if (bandTable) bandTable.texture.dispose();
+        bandTable = createBandTable(sectionLines);
+        waveUniforms.uBandTable.value = bandTable.texture;
+        waveUniforms.uBandTableSize.value.copy(bandTable.size);
+        waveUniforms.uSectionCount.value = bandTable.sectionCount;
+
+        rebuildRibbon();
+        applyBandQuality();
+        buildStreaks();
+        bandData.setBands(bandTable.bands);
+        loadSectionData(elements);
+    }
+
+    function loadSectionData(elements) {
+        sectionDataSources = elements.slice(0, MAX_SECTIONS).map((element, sectionIndex) => {
+            const url = element.dataset.waveData;
+            if (url && url !== sectionDataSources[sectionIndex]) {
+                bandData.load(sectionIndex, url).catch((error) => console.warn(error));
+            }
+            return url;
+        });
+    }
+
+    function configurePost() {
+        sectionPosts = sectionPresets.map((preset) => resolvePost(preset.post, settings.post));
+    }
+
+    function buildStreaks() {
+        streakLayer.build(bandTable.bands, sectionPresets.map((preset) => (
+            resolveStreaks(preset.streaks, settings.streaks)
+        )));
+    }
+
+    // The ribbon only changes with the band count or the quality tier's
+    // segment count; line width is resolved in the shader
+    function rebuildRibbon() {
+        waveMesh.geometry.dispose();
+        waveMesh.geometry = createRibbonGeometry(quality.segments, bandTable.bands.length);
+    }
+
+    // Draw only the leading share of each section's bands on lower tiers
+    function applyBandQuality() {
+        const limits = waveUniforms.uSectionBandLimit.value;
+        limits.fill(0);
+        sectionLines.forEach((lines, sectionIndex) => {
+            limits[sectionIndex] = Math.max(1, Math.ceil(lines.length * quality.bandFraction));
+        });
+    }
+
+    // ============================================
+    // COLOUR PALETTES
+    // ============================================
+
+    const paletteBackground = new THREE.Color(settings.background);
+    let sectionPalettes = [];
+    let paletteSections = [-1, -1];
+    let paletteElements = [];
+    let palettePresets = [];
+
+    // Each section's palette: data-wave-palette, else the preset's "palette"
+    // field, else the default palette option
+    function configurePalettes(elements, presets) {
+        paletteElements = elements;
+        palettePresets = presets;
+        sectionPalettes = presets.map((preset, i) => {
+            const declared = elements[i] && elements[i].dataset.wavePalette;
+            return resolvePalette(declared || preset.palette || settings.palette);
+        });
+        paletteSections = [-1, -1];
+    }
+
+    function refreshPalettes() {
+        configurePalettes(paletteElements, palettePresets);
+    }
+
+    function registerPalettes(palettes) {
+        if (!palettes) return;
+        if (typeof palettes === 'string') {
+            loadPalettes(palettes)
+                .then(() => {
+                    if (!disposed) refreshPalettes();
+                })
+                .catch((error) => console.warn(error));
+            return;
+        }
+        Object.keys(palettes).forEach((name) => registerPalette(name, palettes[name]));
+    }
+
+    // Crossfade palettes (and background) alongside the band parameters
+    function updatePalette(currentSection, interpolationFactor) {
+        const current = sectionPalettes[currentSection];
+        const next = sectionPalettes[currentSection + 1] || current;
+        if (!current) return;
+
+        if (paletteSections[0] !== currentSection) {
+            paletteUniforms.uPaletteCount.value = writePalette(
+                current, paletteUniforms.uPaletteColors, paletteUniforms.uPaletteStops
+            );
+            paletteSections[0] = currentSection;
+        }
+        if (paletteSections[1] !== currentSection + 1) {
+            paletteUniforms.uNextPaletteCount.value = writePalette(
+                next, paletteUniforms.uNextPaletteColors, paletteUniforms.uNextPaletteStops
+            );
+            paletteSections[1] = currentSection + 1;
+        }
+        paletteUniforms.uPaletteMix.value = next === current ? 0.0 : interpolationFactor;
+
+        paletteBackground.set(settings.background);
+        if (current.background) paletteBackground.copy(current.background);
+        if (next.background && next !== current) {
+            paletteBackground.lerp(next.background, interpolationFactor);
+        }
+    }
+
+    registerPalettes(settings.palettes);
+    buildWaveBands();
+
+    // ============================================
+    // RENDERER
+    // ============================================
+
+    // WebGL with bloom where the browser allows it, in a worker if asked for,
+    // else the Canvas 2D fallback drawing the same bands
+    let renderer = null;
+    let restoreTimer = null;
+
+    function createRenderer(type) {
+        if (type === 'worker') {
+            try {
+                return createWorkerRenderer({
+                    scene,
+                    camera,
+                    options: settings.worker,
+                    onContextLost: handleContextLost,
+                    onContextRestored: handleContextRestored,
+                    onFailure: handleWorkerFailure
+                });
+            } catch (error) {
+                console.warn('wave-field: rendering on the main thread', error);
+            }
+        }
+        if (type !== 'canvas') {
+            try {
+                return createWebGLRenderer({
+                    scene,
+                    camera,
+                    shared: type === 'shared',
+                    onContextLost: handleContextLost,
+                    onContextRestored: handleContextRestored
+                });
+            } catch (error) {
+                console.warn('wave-field: falling back to the Canvas 2D renderer', error);
+            }
+        }
+        return createCanvasRenderer({
+            camera,
+            uniforms: waveUniforms,
+            getBandTable: () => bandTable,
+            getStreaks: () => streakLayer.streaks
+        });
+    }
+
+    function mountRenderer(type) {
+        clearTimeout(restoreTimer);
+        restoreTimer = null;
+        if (renderer) {
+            renderer.dispose();
+            renderer.domElement.remove();
+        }
+        renderer = createRenderer(type);
+        renderer.setQuality(quality);
+        renderer.setSize(viewport.width, viewport.height, getPixelRatio());
+        container.appendChild(renderer.domElement);
+    }
+
+    // Drawing stops while the context is gone; if the browser does not hand
+    // it back in time, the field carries on with the fallback
+    function handleContextLost() {
+        clearTimeout(restoreTimer);
+        restoreTimer = setTimeout(() => {
+            restoreTimer = null;
+            mountRenderer('canvas');
+            container.dispatchEvent(new CustomEvent('rendererchange', {
+                detail: { renderer: renderer.type, reason: 'contextlost' }
+            }));
+        }, settings.contextRestoreTimeout);
+    }
+
+    // A worker that cannot load or get a WebGL context hands over to the
+    // main thread
+    function handleWorkerFailure(error) {
+        console.warn('wave-field: rendering on the main thread', error);
+        if (disposed) return;
+        mountRenderer('webgl');
+        container.dispatchEvent(new CustomEvent('rendererchange', {
+            detail: { renderer: renderer.type, reason: 'worker' }
+        }));
+    }
+
+    // The restored context starts empty: rebuild the band table and ribbon
+    // and recompile the material
+    function handleContextRestored() {
+        clearTimeout(restoreTimer);
+        restoreTimer = null;
+        buildWaveBands();
+        waveMaterial.needsUpdate = true;
+        streakLayer.material.needsUpdate = true;
+    }
+
+    mountRenderer(settings.renderer);
+
+    // ============================================
+    // POINTER INTERACTION
+    // ============================================
+
+    // Mouse, pen and touch bend the bands locally; clicks and taps ripple
+    const pointerInput = createPointerInput({
+        camera,
+        element: container,
+        uniforms: pointerUniforms,
+        options: settings
+    });
+
+    // Copy on top of the bands: rectangles measured every frame
+    const avoidZones = createAvoidZones({
+        container,
+        root: elementScope ? container : document,
+        uniforms: avoidUniforms,
+        options: settings.avoid
+    });
+    frameState.bloomMask = avoidZones.bloomMask;
+
+    // Which band is under the mouse, for bandenter/bandleave/bandclick
+    const bandHitTester = createBandHitTester({
+        camera,
+        element: container,
+        uniforms: waveUniforms,
+        getBandTable: () => bandTable,
+        getOctaves: () => quality.octaves,
+        options: settings.bandEvents
+    });
+
+    // ============================================
+    // SCROLL INTERACTION & SECTION DETECTION
+    // ============================================
+
+    let scrollY = window.scrollY;
+    let targetScrollY = window.scrollY;
+
+    function handleScroll() {
+        targetScrollY = window.scrollY;
+    }
+
+    // A section jump from goToSection(): page and wave follow one tween
+    // instead of the eased drift, so the bands, visibility and palette pass
+    // through every section on the way
+    let jump = null;
+
+    // Any scrolling of the visitor's own takes over from a jump
+    function cancelJump() {
+        jump = null;
+    }
+
+    window.addEventListener('wheel', cancelJump, { passive: true });
+    window.addEventListener('touchstart', cancelJump, { passive: true });
+
+    // Smoothed scroll speed in viewport heights per second
+    let scrollVelocity = 0;
+
+    // Element scope: the wave's continuous section position (as in
+    // setSectionPosition), easing after the container; null until the first
+    // frame, which starts settled
+    let elementPosition = null;
+
+    // The container's window scroll offset for a progress (0.0 to 1.0): one
+    // taller than the window is scrolled through like a page, a shorter one
+    // runs from its bottom meeting the window's bottom to its top meeting
+    // the window's top
+    function getElementTop(progress) {
+        const travel = container.offsetHeight - window.innerHeight;
+        return travel > 0 ? -progress * travel : (1.0 - progress) * -travel;
+    }
+
+    // Progress through the sections from the progress option, else from
+    // where the container is in the window
+    function getElementProgress() {
+        if (settings.progress !== null && settings.progress !== undefined) {
+            return Math.min(Math.max(Number(settings.progress) || 0, 0.0), 1.0);
+        }
+        const { top } = container.getBoundingClientRect();
+        const travel = container.offsetHeight - window.innerHeight;
+        if (travel === 0) return top > 0 ? 0.0 : 1.0;
+        const progress = travel > 0 ? -top / travel : 1.0 - top / -travel;
+        return Math.min(Math.max(progress, 0.0), 1.0);
+    }
+
+    function updateElementScroll(deltaTime, reduced) {
+        if (jump) {
+            jump.elapsed += deltaTime;
+            const t = Math.min(jump.elapsed / jump.duration, 1.0);
+            const value = jump.from + (jump.to - jump.from) * jump.ease(t);
+            if (jump.scroll) {
+                window.scrollTo({ top: value, behavior: 'instant' });
+                elementPosition = getElementProgress() * sectionLines.length;
+            } else {
+                elementPosition = value;
+            }
+            if (t >= 1.0) jump = null;
+            return;
+        }
+
+        const target = getElementProgress() * sectionLines.length;
+        if (elementPosition === null || reduced) {
+            elementPosition = target;
+            scrollVelocity = 0;
+        } else {
+            elementPosition += (target - elementPosition) * settings.scrollEase;
+        }
+    }
+
+    function updateScroll(deltaTime, reduced) {
+        if (elementScope) {
+            updateElementScroll(deltaTime, reduced);
+            return;
+        }
+
+        const previousScrollY = scrollY;
+        if (jump) {
+            jump.elapsed += deltaTime;
+            const t = Math.min(jump.elapsed / jump.duration, 1.0);
+            scrollY = jump.from + (jump.to - jump.from) * jump.ease(t);
+            targetScrollY = scrollY;
+            window.scrollTo({ top: scrollY, behavior: 'instant' });
+            if (t >= 1.0) jump = null;
+        } else if (reduced) {
+            // No eased drift: the bands follow the page without scroll-linked motion
+            scrollY = targetScrollY;
+            scrollVelocity = 0;
+            return;
+        }
+        scrollY += (targetScrollY - scrollY) * settings.scrollEase;
+
+        if (deltaTime > 0) {
+            const velocity = (scrollY - previousScrollY) / deltaTime / window.innerHeight;
+            scrollVelocity += (velocity - scrollVelocity) * 0.1;
+        }
+    }
+
+    // Scroll progress through the whole page (0.0 to 1.0)
+    function getPageProgress() {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        return scrollable > 0 ? Math.min(Math.max(scrollY / scrollable, 0.0), 1.0) : 0.0;
+    }
+
+    // Section detection - which section the smoothed scroll position is in
+    // and how far through it, measured against the real section layout
+    let sectionState = { index: 0, progress: 0.0 };
+    let pageProgress = 0.0;
+
+    function updateSectionState(deltaTime) {
+        const previous = sectionState.index;
+        if (elementScope) {
+            setSectionPosition(elementPosition, deltaTime, viewport.height);
+        } else {
+            sectionState = sectionTracker.getState(scrollY, sectionLines.length);
+            pageProgress = getPageProgress();
+        }
+        if (sectionState.index !== previous) {
+            container.dispatchEvent(new CustomEvent('sectionchange', {
+                detail: { section: sectionState.index, previous }
+            }));
+        }
+    }
+
+    // 'progresschange' with the progress getter's values whenever the wave
+    // has moved; sent from the render loop, so it stops with the loop
+    let sentProgress = null;
+
+    function dispatchProgress() {
+        const progress = getProgress();
+        if (sentProgress
+            && progress.section === sentProgress.section
+            && progress.sectionProgress === sentProgress.sectionProgress
+            && progress.page === sentProgress.page
+            && progress.target === sentProgress.target) return;
+        sentProgress = progress;
+        container.dispatchEvent(new CustomEvent('progresschange', { detail: progress }));
+    }
+
+    // Where the wave is (it trails the page while easing): section index,
+    // progress through it and through the page, and the section a jump is
+    // heading for
+    function getProgress() {
+        return {
+            section: sectionState.index,
+            sectionProgress: sectionState.progress,
+            page: pageProgress,
+            target: jump ? jump.section : sectionState.index,
+            sectionCount: sectionLines.length
+        };
+    }
+
+    function getCurrentSection() {
+        return sectionState.index;
+    }
+
+    // Scroll progress within current section (0.0 to 1.0)
+    function getSectionProgress() {
+        return sectionState.progress;
+    }
+
+    // Calculate visibility multiplier for lines based on section
+    function getSectionVisibility(lineSection) {
+        const currentSection = getCurrentSection();
+        const distance = Math.abs(currentSection - lineSection);
+
+        if (distance === 0) return 1.0; // Fully visible in current section
+        if (distance === 1) return 0.25; // Slightly visible in adjacent section
+        return 0.0; // Hidden in distant sections
+    }
+
+    // Get interpolation factor between sections
+    function getInterpolationFactor() {
+        const currentSection = getCurrentSection();
+        const sectionProgress = getSectionProgress();
+
+        // Transition zone at the end of the section (last 30% by default)
+        if (currentSection < sectionLines.length - 1) {
+            return timeline.getCrossfade(sectionProgress, sectionCrossfades[currentSection]);
+        }
+        return 0.0;
+    }
+
+    // ============================================
+    // ANIMATION LOOP
+    // ============================================
+
+    let time = 0;
+    let frameId = null;
+    let pendingDelta = 0;
+    const clock = new THREE.Clock(false);
+
+    // Reduced motion, hidden/off-screen pausing and idle throttling
+    const motionMonitor = createMotionMonitor({
+        container,
+        options: settings.motion,
+        onChange: handleMotionChange
+    });
+    pointerInput.setEnabled(!motionMonitor.isReduced());
+    cameraRig.setEnabled(!motionMonitor.isReduced());
+
+    function handleMotionChange() {
+        pointerInput.setEnabled(!exporting && !motionMonitor.isReduced());
+        cameraRig.setEnabled(!exporting && !motionMonitor.isReduced());
+        syncLoop();
+    }
+
+    function animate() {
+        frameId = requestAnimationFrame(animate);
+
+        // Frames skipped by the idle/reduced-motion cap still count towards time
+        pendingDelta += clock.getDelta();
+        const frameInterval = motionMonitor.getFrameInterval();
+        if (pendingDelta < frameInterval) return;
+
+        const deltaTime = pendingDelta;
+        pendingDelta = 0;
+
+        const reduced = motionMonitor.isReduced();
+        if (frameInterval === 0 && !renderer.contextLost) {
+            qualityGovernor.sample(deltaTime * 1000);
+        }
+
+        // Update interactions
+        updateScroll(deltaTime, reduced);
+        updateSectionState(reduced ? 0 : deltaTime);
+        dispatchProgress();
+
+        renderFrame(reduced ? deltaTime * motionMonitor.options.reducedTimeScale : deltaTime, reduced);
+    }
+
+    // Advance the animation by `deltaTime` seconds and draw it for the
+    // current scroll state
+    function renderFrame(deltaTime, reduced) {
+        time += deltaTime;
+        pointerInput.update(time);
+        cameraRig.update();
+
+        // Scroll influence (very subtle), none when motion is reduced
+        const scrollInfluence = reduced ? 1.0 : 1.0 + (scrollY * 0.00005);
+
+        // Section blending and visibility run on the GPU from a few uniforms
+        const currentSection = getCurrentSection();
+        const interpolationFactor = getInterpolationFactor();
+        updatePalette(currentSection, interpolationFactor);
+
+        // Update time with scroll influence
+        waveUniforms.uTime.value = time * scrollInfluence;
+        waveUniforms.uSection.value = currentSection;
+        waveUniforms.uSectionBlend.value = interpolationFactor;
+
+        // Apply section-based visibility - smooth transition
+        const visibilities = waveUniforms.uSectionVisibility.value;
+        for (let i = 0; i < sectionLines.length; i++) {
+            visibilities[i] += (getSectionVisibility(i) - visibilities[i]) * 0.08;
+        }
+
+        morph.update(currentSection, getSectionProgress());
+        bandData.update(deltaTime);
+        applyTimeline(reduced);
+
+        // Hover follows the bands as drawn this frame; the page's copy is
+        // not part of an export
+        if (!exporting) {
+            avoidZones.update();
+            bandHitTester.update();
+        }
+
+        renderer.render(frameState);
+    }
+
+    // ============================================
+    // SCROLL TIMELINE
+    // ============================================
+
+    // Reset everything the timeline may drive to its configured value, then
+    // apply the tracks on top
+    function applyTimeline(reduced) {
+        // Subtle bloom variation with slower, more graceful pulsing
+        const pulse = reduced ? 0.0 : Math.sin(time * 0.15) * settings.bloom.pulse;
+        frameState.bloom.strength = settings.bloom.strength + pulse;
+        frameState.bloom.selective = settings.bloom.selective;
+        frameState.bloom.radius = settings.bloom.radius * quality.bloomRadius;
+        frameState.bloom.threshold = settings.bloom.threshold;
+        frameState.exposure = settings.toneMappingExposure;
+        frameState.background.copy(paletteBackground);
+        applyPost();
+        cameraRig.apply(sectionState.index, sectionState.progress, getInterpolationFactor());
+        const cameraState = cameraRig.current;
+
+        waveUniforms.uNoiseScale.value = settings.noiseScale;
+        waveUniforms.uNoiseStrength.value = settings.noiseStrength;
+        waveUniforms.uSpeedScale.value = 1.0;
+        waveUniforms.uAmplitudeScale.value = 1.0;
+        waveUniforms.uFrequencyScale.value = 1.0;
+        waveUniforms.uOpacityScale.value = 1.0;
+        waveUniforms.uLineWidth.value = settings.lineWidth;
+
+        const entries = timeline.evaluate({
+            sectionIndex: sectionState.index,
+            sectionProgress: sectionState.progress,
+            pageProgress,
+            velocity: scrollVelocity
+        });
+
+        entries.forEach((entry) => {
+            const { target } = entry;
+
+            if (target.startsWith('wave.')) {
+                const uniform = waveUniforms[target.slice(5)];
+                if (uniform && typeof uniform.value === 'number') {
+                    uniform.value = applyBlend(uniform.value, entry);
+                }
+            } else if (target.startsWith('bloom.')) {
+                const key = target.slice(6);
+                if (key in settings.bloom) frameState.bloom[key] = applyBlend(frameState.bloom[key], entry);
+            } else if (target.startsWith('camera.position.')) {
+                const axis = target.slice(16);
+                const { position } = cameraState;
+                if (axis in position) position[axis] = applyBlend(position[axis], entry);
+            } else if (target.startsWith('camera.lookAt.')) {
+                const axis = target.slice(14);
+                const { target: lookAt } = cameraState;
+                if (axis in lookAt) lookAt[axis] = applyBlend(lookAt[axis], entry);
+            } else if (target === 'camera.fov' || target === 'camera.roll' || target === 'camera.focus') {
+                const key = target.slice(7);
+                cameraState[key] = applyBlend(cameraState[key], entry);
+            } else if (target.startsWith('post.')) {
+                const [name, key] = target.slice(5).split('.');
+                const effect = frameState.post.effects[name];
+                if (effect && typeof effect[key] === 'number') effect[key] = applyBlend(effect[key], entry);
+            } else if (target === 'exposure') {
+                frameState.exposure = applyBlend(frameState.exposure, entry);
+            } else if (target === 'background') {
+                frameState.background.copy(entry.value);
+            }
+        });
+
+        cameraRig.commit();
+    }
+
+    // The current section's post chain, blending into the next one's
+    function applyPost() {
+        const current = sectionPosts[sectionState.index];
+        if (!current) return;
+        blendPost(current, sectionPosts[sectionState.index + 1], getInterpolationFactor(), frameState.post);
+        frameState.post.time = time;
+    }
+
+    // ============================================
+    // WINDOW RESIZE HANDLER
+    // ============================================
+
+    function handleResize() {
+        // The export owns the canvas size until it is done
+        if (exporting) return;
+
+        measureViewport();
+        camera.aspect = viewport.width / viewport.height;
+        camera.updateProjectionMatrix();
+
+        renderer.setSize(viewport.width, viewport.height, getPixelRatio());
+
+        waveUniforms.uResolution.value.set(viewport.width, viewport.height);
+    }
+
+    // In element scope the container's box can change without the window
+    // resizing
+    let resizeObserver = null;
+    if (elementScope && typeof ResizeObserver !== 'undefined') {
+        resizeObserver = new ResizeObserver(() => handleResize());
+        resizeObserver.observe(container);
+    }
+
+    // ============================================
+    // ADAPTIVE QUALITY
+    // ============================================
+
+    function handleQualityChange(change) {
+        const previousQuality = quality;
+        quality = QUALITY_TIERS[change.tier];
+
+        renderer.setQuality(quality);
+        renderer.setSize(viewport.width, viewport.height, getPixelRatio());
+
+        if (quality.segments !== previousQuality.segments) {
+            rebuildRibbon();
+        }
+        if (quality.octaves !== previousQuality.octaves) {
+            waveMaterial.defines.FBM_OCTAVES = quality.octaves;
+            waveMaterial.needsUpdate = true;
+            streakLayer.setOctaves(quality.octaves);
+        }
+        applyBandQuality();
+
+        container.dispatchEvent(new CustomEvent('qualitychange', { detail: change }));
+    }
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleResize);
+
+    // ============================================
+    // OFFLINE EXPORT
+    // ============================================
+
+    // While exporting, the live loop is stopped and the export drives every
+    // frame itself, see export.js
+    let exporting = false;
+
+    // Scroll state from a continuous section position (2.5 = halfway through
+    // the third section) instead of the page, so an export does not depend on
+    // the window or the page layout; a section counts as one output height
+    function setSectionPosition(position, deltaTime, viewportHeight) {
+        const last = Math.max(sectionLines.length - 1, 0);
+        const clamped = Math.min(Math.max(position, 0), last + 1);
+        const index = Math.min(Math.floor(clamped), last);
+        sectionState = { index, progress: Math.min(clamped - index, 1.0) };
+        pageProgress = last > 0 ? Math.min(clamped / last, 1.0) : 0.0;
+
+        const nextScrollY = clamped * viewportHeight;
+        if (deltaTime > 0) {
+            const velocity = (nextScrollY - scrollY) / deltaTime / viewportHeight;
+            scrollVelocity += (velocity - scrollVelocity) * 0.1;
+        }
+        scrollY = nextScrollY;
+    }
+
+    async function exportFrames(exportOptions = {}) {
+        if (disposed) throw new Error('wave-field: cannot export a disposed field');
+        if (exporting) throw new Error('wave-field: an export is already running');
+
+        const config = { ...DEFAULT_EXPORT_OPTIONS, ...exportOptions };
+        const frameCount = Math.max(1, Math.round(config.duration * config.fps));
+        const deltaTime = 1 / config.fps;
+        const getSectionPosition = createScrollPath(config.path, sectionLines.length, config.duration);
+
+        exporting = true;
+        syncLoop();
+
+        const liveTime = time;
+        jump = null;
+        qualityGovernor.setMode(config.quality);
+        pointerInput.reset();
+        pointerInput.setEnabled(false);
+        cameraRig.reset();
+        cameraRig.setEnabled(false);
+        // Hover ends and its eased highlight drops to zero
+        bandHitTester.reset();
+        avoidZones.clear();
+        // Data settles where it is heading and holds still until the end
+        bandData.settle();
+        bandData.holdStreams(true);
+
+        // Frames are captured from the canvas, which a worker keeps to itself
+        const liveRenderer = renderer.type;
+        if (liveRenderer === 'worker') mountRenderer('webgl');
+
+        camera.aspect = config.width / config.height;
+        camera.updateProjectionMatrix();
+        // The drawing buffer takes the output size; the canvas keeps its size
+        // on the page
+        renderer.setSize(config.width, config.height, config.pixelRatio, false);
+        renderer.clearHistory();
+        waveUniforms.uResolution.value.set(config.width, config.height);
+
+        // Start from the settled state of the first scroll position
+        time = seedToTime(config.seed);
+        scrollVelocity = 0;
+        setSectionPosition(getSectionPosition(0), 0, config.height);
+        const visibilities = waveUniforms.uSectionVisibility.value;
+        for (let i = 0; i < sectionLines.length; i++) {
+            visibilities[i] = getSectionVisibility(i);
+        }
+
+        let output = null;
+        try {
+            // The finale shape may still be loading
+            await morph.ready;
+
+            output = config.format === 'webm'
+                ? createWebmRecorder(renderer.domElement, config)
+                : createPngSequence(renderer.domElement, config);
+
+            for (let frame = 0; frame < frameCount; frame++) {
+                if (config.signal && config.signal.aborted) {
+                    throw new DOMException('Export aborted', 'AbortError');
+                }
+                setSectionPosition(getSectionPosition(frame * deltaTime), deltaTime, config.height);
+                renderFrame(deltaTime, false);
+                await output.addFrame();
+                if (config.onProgress) config.onProgress(frame, frameCount);
+            }
+
+            return await output.finish();
+        } catch (error) {
+            if (output) output.cancel();
+            throw error;
+        } finally {
+            time = liveTime;
+            scrollY = targetScrollY;
+            elementPosition = null;
+            scrollVelocity = 0;
+            bandData.holdStreams(false);
+            qualityGovernor.setMode(settings.quality);
+            pointerInput.setEnabled(!motionMonitor.isReduced());
+            cameraRig.setEnabled(!motionMonitor.isReduced());
+
+            exporting = false;
+            if (liveRenderer === 'worker') mountRenderer(settings.renderer);
+            handleResize();
+            syncLoop();
+        }
+    }
+
+    // ============================================
+    // CONTROLLER
+    // ============================================
+
+    function syncLoop() {
+        const shouldRun = running && !disposed && !exporting && !motionMonitor.isHidden();
+        if (shouldRun && frameId === null) {
+            // Clock.start() resets the delta, so the stopped interval is not replayed
+            clock.start();
+            pendingDelta = 0;
+            animate();
+        } else if (!shouldRun && frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+            clock.stop();
+        }
+    }
+
+    function start() {
+        if (disposed || running) return;
+        running = true;
+        syncLoop();
+    }
+
+    function pause() {
+        if (!running) return;
+        running = false;
+        syncLoop();
+    }
+
+    function resume() {
+        start();
+    }
+
+    function setOptions(nextOptions = {}) {
+        if (disposed) return;
+        settings = mergeOptions(settings, nextOptions);
+
+        if (nextOptions.renderer !== undefined) {
+            mountRenderer(settings.renderer);
+        }
+
+        if (nextOptions.fov !== undefined || nextOptions.cameraZ !== undefined) {
+            cameraRig.setBase(settings);
+        }
+
+        if (nextOptions.camera !== undefined) {
+            cameraRig.setOptions(settings.camera);
+        }
+
+        if (nextOptions.sections !== undefined || nextOptions.sectionSelector !== undefined) {
+            buildWaveBands();
+        } else if (nextOptions.timeline !== undefined) {
+            configureTimeline(getSectionElements());
+        }
+
+        if (nextOptions.pointer !== undefined || nextOptions.ripple !== undefined) {
+            pointerInput.setOptions(settings);
+        }
+
+        if (nextOptions.bandEvents !== undefined) {
+            bandHitTester.setOptions(settings.bandEvents);
+        }
+
+        // A sections change rebuilds the streaks along with the bands
+        if (nextOptions.streaks !== undefined && nextOptions.sections === undefined) {
+            buildStreaks();
+        }
+
+        // A sections change resolves the post chains along with the bands
+        if (nextOptions.post !== undefined && nextOptions.sections === undefined) {
+            configurePost();
+        }
+
+        if (nextOptions.avoid !== undefined) {
+            avoidZones.setOptions(settings.avoid);
+        }
+
+        if (nextOptions.bandData !== undefined) {
+            bandData.setOptions(settings.bandData);
+        }
+
+        if (nextOptions.palettes !== undefined) {
+            registerPalettes(nextOptions.palettes);
+        }
+        if (nextOptions.palette !== undefined || nextOptions.palettes !== undefined) {
+            refreshPalettes();
+        }
+
+        if (nextOptions.motion !== undefined) {
+            motionMonitor.setOptions(settings.motion);
+        }
+
+        if (nextOptions.quality !== undefined) {
+            qualityGovernor.setMode(settings.quality);
+        }
+
+        if (nextOptions.state !== undefined) {
+            applyState(nextOptions.state);
+        }
+
+        if (nextOptions.maxPixelRatio !== undefined) {
+            renderer.setSize(viewport.width, viewport.height, getPixelRatio());
+        }
+    }
+
+    // The band at a client position ({ band, section, line, distance }) or
+    // null, e.g. to position a tooltip
+    function getBandAt(clientX, clientY) {
+        if (disposed) return null;
+        return bandHitTester.getBandAt(clientX, clientY);
+    }
+
+    // The tunable options as a plain, JSON-safe object; sections carry the
+    // palette they actually use so an export is self-contained
+    function getState() {
+        const sections = sectionPresets.map((preset, i) => {
+            const declared = paletteElements[i] && paletteElements[i].dataset.wavePalette;
+            const palette = declared || preset.palette;
+            return palette ? { ...preset, palette } : { ...preset };
+        });
+        return JSON.parse(JSON.stringify(pickState({ ...settings, sections })));
+    }
+
+    // A state object or the URL of a state JSON file, see state.js
+    function applyState(source) {
+        if (typeof source === 'string') {
+            loadState(source)
+                .then((state) => setOptions(state))
+                .catch((error) => console.warn(error));
+        } else if (source) {
+            setOptions(pickState(source));
+        }
+    }
+
+    // Shape section `index`'s bands from numeric series, one per band (or
+    // fewer, repeated); null hands the bands back to the wave. Options
+    // override the bandData option for this section.
+    function setBandData(section, series, dataOptions) {
+        if (disposed) return;
+        bandData.setSeries(section, series, dataOptions);
+    }
+
+    // Series from a JSON or CSV file; resolves once they are applied
+    function loadBandData(section, url, dataOptions) {
+        if (disposed) return Promise.resolve();
+        return bandData.load(section, url, dataOptions);
+    }
+
+    // Poll `source` every `interval` ms for new series; returns a function
+    // that stops the stream
+    function streamBandData(section, source, dataOptions) {
+        if (disposed) return () => {};
+        return bandData.stream(section, source, dataOptions);
+    }
+
+    // Scroll the page so that section `index` is in view. 'smooth' tweens
+    // the page and the wave together (jump option, or duration and easing
+    // here); 'instant' jumps, as does reduced motion or a stopped loop,
+    // leaving the wave to follow through the regular scroll interpolation.
+    // In element scope the page is scrolled to where the container shows the
+    // section, or with a fixed progress option the wave moves there and the
+    // option follows.
+    function goToSection(index, { behavior = 'smooth', duration, easing } = {}) {
+        if (disposed || exporting) return;
+        const sectionIndex = Math.max(0, Math.min(index, sectionLines.length - 1));
+        if (elementScope) {
+            goToElementSection(sectionIndex, behavior, duration, easing);
+            return;
+        }
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const top = Math.max(0, Math.min(sectionTracker.getBounds(sectionIndex).top, scrollable));
+
+        jump = null;
+        if (behavior !== 'smooth' || motionMonitor.isReduced() || frameId === null) {
+            window.scrollTo({ top, behavior: motionMonitor.isReduced() ? 'instant' : behavior });
+            return;
+        }
+
+        const distance = Math.abs(top - scrollY) / window.innerHeight;
+        if (distance === 0) return;
+        jump = {
+            section: sectionIndex,
+            from: scrollY,
+            to: top,
+            elapsed: 0,
+            duration: duration ?? Math.min(settings.jump.duration * Math.sqrt(distance), settings.jump.maxDuration),
+            ease: getEasing(easing ?? settings.jump.easing)
+        };
+    }
+
+    function goToElementSection(sectionIndex, behavior, duration, easing) {
+        const progress = sectionLines.length > 0 ? sectionIndex / sectionLines.length : 0;
+        const fixed = settings.progress !== null && settings.progress !== undefined;
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const top = fixed ? 0 : Math.max(0, Math.min(
+            window.scrollY + container.getBoundingClientRect().top - getElementTop(progress),
+            scrollable
+        ));
+
+        jump = null;
+        if (fixed) settings.progress = progress;
+        if (behavior !== 'smooth' || motionMonitor.isReduced() || frameId === null) {
+            if (!fixed) window.scrollTo({ top, behavior: motionMonitor.isReduced() ? 'instant' : behavior });
+            return;
+        }
+
+        const from = elementPosition === null ? sectionState.index : elementPosition;
+        const distance = Math.abs(sectionIndex - from);
+        if (distance === 0) return;
+        jump = {
+            section: sectionIndex,
+            scroll: !fixed,
+            from: fixed ? from : window.scrollY,
+            to: fixed ? sectionIndex : top,
+            elapsed: 0,
+            duration: duration ?? Math.min(settings.jump.duration * Math.sqrt(distance), settings.jump.maxDuration),
+            ease: getEasing(easing ?? settings.jump.easing)
+        };
+    }
+
+    function dispose() {
+        if (disposed) return;
+        pause();
+        disposed = true;
+        clearTimeout(restoreTimer);
+        if (resizeObserver) resizeObserver.disconnect();
+
+        pointerInput.dispose();
+        cameraRig.dispose();
+        morph.dispose();
+        bandData.dispose();
+        bandHitTester.dispose();
+        avoidZones.dispose();
+        motionMonitor.dispose();
+        window.removeEventListener('scroll', handleScroll);
+        window.removeEventListener('resize', handleResize);
+        window.removeEventListener('wheel', cancelJump);
+        window.removeEventListener('touchstart', cancelJump);
+
+        scene.remove(waveMesh);
+        waveMesh.geometry.dispose();
+        waveMaterial.dispose();
+        streakLayer.dispose();
+        bandTable.texture.dispose();
+        sectionTracker.dispose();
+
+        renderer.dispose();
+        renderer.domElement.remove();
+    }
+
+    if (typeof settings.state === 'string') {
+        applyState(settings.state);
+    }
+
+    return {
+        start,
+        pause,
+        resume,
+        setOptions,
+        getState,
+        goToSection,
+        getBandAt,
+        setBandData,
+        loadBandData,
+        streamBandData,
+        exportFrames,
+        dispose,
+        get running() {
+            return running;
+        },
+        // 'webgl' or 'canvas'
+        get renderer() {
+            return renderer.type;
+        },
+        // Current quality tier name
+        get quality() {
+            return qualityGovernor.tier;
+        },
+        get reducedMotion() {
+            return motionMonitor.isReduced();
+        },
+        // The container, where the field's events (sectionchange,
+        // progresschange, qualitychange, rendererchange, band events) fire
+        get element() {
+            return container;
+        },
+        // See getProgress(); progresschange reports changes
+        get progress() {
+            return getProgress();
+        }
+    };
+}
+
+// Shallow merge with one level of nesting for grouped options (bloom)
+function mergeOptions(base, overrides) {
+    const merged = { ...base };
+    Object.keys(overrides).forEach((key) => {
+        const value = overrides[key];
+        if (value === undefined) return;
+        if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+            merged[key] = { ...base[key], ...value };
+        } else {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
@@ -0,0 +1,345 @@
+// Finale morph
+// The section whose preset has a "morph" field pulls the bands off their waves
+// onto a target shape as it scrolls in, and lets go again on the way back up.
+// The shape is SVG path data or the outline of an image's opaque pixels, such
+// as the logo:
+//
+//   morph: {
+//       image: 'assets/images/logo/AugmentedLogo.png',   // or path: 'M0 0 C ...'
+//       size: 7,                 // world units across the wider side of the shape
+//       position: [0, 0.5, 0],   // world position of the shape's centre
+//       spread: 0.15,            // depth between bands that share a contour
+//       stagger: 0.5,            // share of the morph spread across the bands
+//       start: 0.3,              // morph window, as progress through the section
+//       end: 1.0,                // before: 1.0 is the finale reaching the top
+//       ease: 'smooth'
+//   }
+//
+// Every contour of the shape (a subpath, or one outline of the image) becomes
+// one row of the morph texture; line n of a section follows contour
+// n % contours, and lines sharing a contour are layered in depth.
+
+import * as THREE from 'three';
+import { getEasing } from './easing.js';
+
+// Must match MORPH_SAMPLES / MAX_MORPH_CURVES in the vertex shader
+export const MORPH_SAMPLES = 256;
+export const MAX_MORPH_CURVES = 16;
+
+export const DEFAULT_MORPH_OPTIONS = {
+    path: null,
+    image: null,
+    size: 7,
+    position: [0, 0, 0],
+    spread: 0.15,
+    stagger: 0.5,
+    start: 0.3,
+    end: 1.0,
+    ease: 'smooth',
+    resolution: 256,    // pixels across the wider side when tracing an image
+    threshold: 0.5,     // alpha above which an image pixel is inside the shape
+    minLength: 24       // outlines shorter than this (in traced pixels) are dropped
+};
+
+export function createMorphUniforms() {
+    // xy = contour point in a unit box around the origin, w = 1.0 on closed contours
+    const data = new Float32Array(MORPH_SAMPLES * MAX_MORPH_CURVES * 4);
+    const texture = new THREE.DataTexture(data, MORPH_SAMPLES, MAX_MORPH_CURVES, THREE.RGBAFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+
+    return {
+        uMorph: { value: 0 },
+        uMorphStagger: { value: DEFAULT_MORPH_OPTIONS.stagger },
+        uMorphCurves: { value: texture },
+        uMorphCurveCount: { value: 0 },
+        uMorphSize: { value: DEFAULT_MORPH_OPTIONS.size },
+        uMorphPosition: { value: new THREE.Vector3() },
+        uMorphSpread: { value: DEFAULT_MORPH_OPTIONS.spread }
+    };
+}
+
+// ============================================
+// CONTOURS
+// ============================================
+
+// Points along a polyline ([x0, y0, x1, y1, ...]) at equal arc length
+function resample(points, closed) {
+    const count = points.length / 2;
+    const segments = closed ? count : count - 1;
+    const lengths = [0];
+    for (let i = 0; i < segments; i++) {
+        const j = (i + 1) % count;
+        lengths.push(lengths[i] + Math.hypot(points[j * 2] - points[i * 2], points[j * 2 + 1] - points[i * 2 + 1]));
+    }
+    const total = lengths[segments];
+    const steps = closed ? MORPH_SAMPLES : MORPH_SAMPLES - 1;
+
+    const samples = new Float32Array(MORPH_SAMPLES * 2);
+    let segment = 0;
+    for (let s = 0; s < MORPH_SAMPLES; s++) {
+        const distance = (s / steps) * total;
+        while (segment < segments - 1 && lengths[segment + 1] < distance) segment++;
+        const span = lengths[segment + 1] - lengths[segment];
+        const t = span > 0 ? (distance - lengths[segment]) / span : 0;
+        const i = segment;
+        const j = (segment + 1) % count;
+        samples[s * 2] = points[i * 2] + (points[j * 2] - points[i * 2]) * t;
+        samples[s * 2 + 1] = points[i * 2 + 1] + (points[j * 2 + 1] - points[i * 2 + 1]) * t;
+    }
+    return samples;
+}
+
+// Rounds off the pixel staircase of a traced outline
+function smoothLoop(points, passes) {
+    const count = points.length / 2;
+    let current = points;
+    for (let pass = 0; pass < passes; pass++) {
+        const next = new Float32Array(current.length);
+        for (let i = 0; i < count; i++) {
+            const previous = (i + count - 1) % count;
+            const following = (i + 1) % count;
+            next[i * 2] = (current[previous * 2] + 2 * current[i * 2] + current[following * 2]) / 4;
+            next[i * 2 + 1] = (current[previous * 2 + 1] + 2 * current[i * 2 + 1] + current[following * 2 + 1]) / 4;
+        }
+        current = next;
+    }
+    return current;
+}
+
+// Every subpath of the path data, sampled through the browser's SVG geometry
+function samplePathData(d) {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.style.cssText = 'position:absolute;width:0;height:0;visibility:hidden';
+    document.body.appendChild(svg);
+
+    // Relative moves continue from the previous subpath, so only absolute
+    // ones start a contour of their own
+    const subpaths = /m/.test(d) ? [d] : d.split(/(?=M)/).filter((part) => part.trim());
+    const contours = subpaths.map((subpath) => {
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', subpath);
+        svg.appendChild(path);
+        const length = path.getTotalLength();
+        const closed = /z\s*$/i.test(subpath);
+        const steps = closed ? MORPH_SAMPLES : MORPH_SAMPLES - 1;
+        const points = new Float32Array(MORPH_SAMPLES * 2);
+        for (let s = 0; s < MORPH_SAMPLES; s++) {
+            const point = path.getPointAtLength((s / steps) * length);
+            points[s * 2] = point.x;
+            points[s * 2 + 1] = point.y;
+        }
+        return { points, closed, length };
+    });
+
+    svg.remove();
+    return contours.filter((contour) => contour.length > 0);
+}
+
+// Outlines of the pixels inside the shape: each inside pixel contributes the
+// sides it shares with outside pixels, walked clockwise, and the sides are
+// chained into closed loops
+function traceOutlines(inside, width, height) {
+    const stride = width + 1;
+    const edges = new Map();
+    const isInside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && inside[y * width + x];
+    const addEdge = (x0, y0, x1, y1) => {
+        const key = y0 * stride + x0;
+        if (!edges.has(key)) edges.set(key, []);
+        edges.get(key).push(y1 * stride + x1);
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isInside(x, y)) continue;
+            if (!isInside(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!isInside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!isInside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!isInside(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    const loops = [];
+    edges.forEach((starts, startKey) => {
+        while (starts.length > 0) {
+            const points = [];
+            let key = startKey;
+            do {
+                points.push(key % stride, Math.floor(key / stride));
+                key = edges.get(key).pop();
+            } while (key !== startKey);
+            loops.push(points);
+        }
+    });
+    return loops;
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`wave-field: could not load morph image ${url}`));
+        image.src = url;
+    });
+}
+
+async function sampleImage(url, { resolution, threshold, minLength }) {
+    const image = await loadImage(url);
+    const scale = resolution / Math.max(image.naturalWidth, image.naturalHeight, 1);
+    const width = Math.max(1, Math.round(image.naturalWidth * scale));
+    const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, width, height);
+    const pixels = context.getImageData(0, 0, width, height).data;
+
+    const inside = new Uint8Array(width * height);
+    for (let i = 0; i < inside.length; i++) {
+        inside[i] = pixels[i * 4 + 3] > threshold * 255 ? 1 : 0;
+    }
+
+    return traceOutlines(inside, width, height)
+        .filter((loop) => loop.length / 2 >= minLength)
+        .map((loop) => {
+            const points = resample(smoothLoop(Float32Array.from(loop), 3), true);
+            return { points, closed: true, length: loop.length / 2 };
+        });
+}
+
+// Longest contours first, centred and scaled into a unit box with y up
+function normalizeContours(contours) {
+    const kept = [...contours].sort((a, b) => b.length - a.length).slice(0, MAX_MORPH_CURVES);
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    kept.forEach(({ points }) => {
+        for (let i = 0; i < points.length; i += 2) {
+            minX = Math.min(minX, points[i]);
+            maxX = Math.max(maxX, points[i]);
+            minY = Math.min(minY, points[i + 1]);
+            maxY = Math.max(maxY, points[i + 1]);
+        }
+    });
+
+    const scale = 1 / Math.max(maxX - minX, maxY - minY, 1e-6);
+    const centreX = (minX + maxX) / 2;
+    const centreY = (minY + maxY) / 2;
+    return kept.map(({ points, closed }) => {
+        const normalized = new Float32Array(points.length);
+        for (let i = 0; i < points.length; i += 2) {
+            normalized[i] = (points[i] - centreX) * scale;
+            normalized[i + 1] = (centreY - points[i + 1]) * scale;
+        }
+        return { points: normalized, closed };
+    });
+}
+
+// Traced shapes, by source
+const shapeCache = new Map();
+
+// Contours of the morph's path or image, each MORPH_SAMPLES points long
+export function loadMorphShape(morph) {
+    const key = morph.path ? `path:${morph.path}` : `image:${morph.image}:${morph.resolution}:${morph.threshold}`;
+    if (!shapeCache.has(key)) {
+        const shape = morph.path
+            ? Promise.resolve().then(() => normalizeContours(samplePathData(morph.path)))
+            : sampleImage(morph.image, morph).then(normalizeContours);
+        shapeCache.set(key, shape);
+        shape.catch(() => shapeCache.delete(key));
+    }
+    return shapeCache.get(key);
+}
+
+export function writeMorphShape(uniforms, contours) {
+    const texture = uniforms.uMorphCurves.value;
+    const { data } = texture.image;
+    data.fill(0);
+    contours.forEach(({ points, closed }, row) => {
+        for (let s = 0; s < MORPH_SAMPLES; s++) {
+            const offset = (row * MORPH_SAMPLES + s) * 4;
+            data[offset] = points[s * 2];
+            data[offset + 1] = points[s * 2 + 1];
+            data[offset + 3] = closed ? 1 : 0;
+        }
+    });
+    texture.needsUpdate = true;
+    uniforms.uMorphCurveCount.value = contours.length;
+}
+
+// ============================================
+// MORPH CONTROLLER
+// ============================================
+
+export function createMorph({ uniforms }) {
+    let morphSection = -1;
+    let morphOptions = null;
+    let request = 0;
+    let ready = Promise.resolve();
+    let disposed = false;
+
+    // The first section preset with a "morph" field is the finale
+    function setSections(presets) {
+        morphSection = presets.findIndex((preset) => preset.morph);
+        morphOptions = morphSection >= 0 ? { ...DEFAULT_MORPH_OPTIONS, ...presets[morphSection].morph } : null;
+        uniforms.uMorph.value = 0;
+        uniforms.uMorphCurveCount.value = 0;
+        if (!morphOptions) {
+            ready = Promise.resolve();
+            return;
+        }
+        if (!morphOptions.path && !morphOptions.image) {
+            console.warn('wave-field: a morph needs a "path" or an "image"');
+            morphOptions = null;
+            return;
+        }
+
+        const [x = 0, y = 0, z = 0] = morphOptions.position;
+        uniforms.uMorphPosition.value.set(x, y, z);
+        uniforms.uMorphSize.value = morphOptions.size;
+        uniforms.uMorphSpread.value = morphOptions.spread;
+        uniforms.uMorphStagger.value = Math.min(Math.max(morphOptions.stagger, 0), 0.99);
+
+        // Only the latest sections get their shape written
+        const current = ++request;
+        ready = loadMorphShape(morphOptions)
+            .then((contours) => {
+                if (!disposed && current === request) writeMorphShape(uniforms, contours);
+            })
+            .catch((error) => console.warn(error));
+    }
+
+    // Morph amount for the scroll position `sectionIndex + sectionProgress`
+    function update(sectionIndex, sectionProgress) {
+        if (!morphOptions) {
+            uniforms.uMorph.value = 0;
+            return;
+        }
+        const position = sectionIndex + sectionProgress - (morphSection - 1);
+        const { start, end } = morphOptions;
+        const t = end > start
+            ? Math.min(Math.max((position - start) / (end - start), 0), 1)
+            : (position >= end ? 1 : 0);
+        uniforms.uMorph.value = getEasing(morphOptions.ease)(t);
+    }
+
+    function dispose() {
+        disposed = true;
+        uniforms.uMorphCurves.value.dispose();
+    }
+
+    return {
+        setSections,
+        update,
+        dispose,
+        // Settles once the finale's shape is in the morph texture
+        get ready() {
+            return ready;
+        }
+    };
+}
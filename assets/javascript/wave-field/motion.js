@@ -0,0 +1,108 @@
+// Motion and power preferences
+// Follows prefers-reduced-motion live, notices when the field cannot be seen
+// (background tab or container scrolled out of view) and when the visitor has
+// stopped interacting, so the render loop can slow down or stop.
+
+export const DEFAULT_MOTION_OPTIONS = {
+    reducedMotion: 'auto',    // 'auto' follows the media query; 'reduce' | 'no-preference' force it
+    reducedTimeScale: 0.05,   // animation speed while motion is reduced, 0 for a still frame
+    reducedFps: 15,           // frame cap while motion is reduced
+    pauseWhenHidden: true,    // stop rendering in background tabs or when off-screen
+    idleTimeout: 8000,        // ms without input before throttling, 0 to never throttle
+    idleFps: 20               // frame cap while idle
+};
+
+const INPUT_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel', 'scroll', 'touchstart'];
+
+export function createMotionMonitor({ container, options = {}, onChange }) {
+    let motionOptions = { ...DEFAULT_MOTION_OPTIONS, ...options };
+
+    const reducedMotionQuery = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
+
+    let prefersReduced = reducedMotionQuery ? reducedMotionQuery.matches : false;
+    let pageHidden = document.visibilityState === 'hidden';
+    let offscreen = false;
+    let lastInput = performance.now();
+
+    function notify() {
+        if (onChange) onChange();
+    }
+
+    function handleReducedMotionChange(event) {
+        prefersReduced = event.matches;
+        notify();
+    }
+
+    function handleVisibilityChange() {
+        pageHidden = document.visibilityState === 'hidden';
+        notify();
+    }
+
+    function handleInput() {
+        lastInput = performance.now();
+    }
+
+    let intersectionObserver = null;
+    if (typeof IntersectionObserver !== 'undefined') {
+        intersectionObserver = new IntersectionObserver((entries) => {
+            offscreen = !entries[entries.length - 1].isIntersecting;
+            notify();
+        });
+        intersectionObserver.observe(container);
+    }
+
+    if (reducedMotionQuery) {
+        reducedMotionQuery.addEventListener('change', handleReducedMotionChange);
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    INPUT_EVENTS.forEach((type) => window.addEventListener(type, handleInput, { passive: true }));
+
+    // Minimum seconds between rendered frames, 0 for every animation frame
+    function getFrameInterval(now = performance.now()) {
+        if (isReduced()) return 1 / motionOptions.reducedFps;
+        if (isIdle(now)) return 1 / motionOptions.idleFps;
+        return 0;
+    }
+
+    function isReduced() {
+        if (motionOptions.reducedMotion === 'reduce') return true;
+        if (motionOptions.reducedMotion === 'no-preference') return false;
+        return prefersReduced;
+    }
+
+    function isIdle(now = performance.now()) {
+        return motionOptions.idleTimeout > 0 && now - lastInput > motionOptions.idleTimeout;
+    }
+
+    function isHidden() {
+        return motionOptions.pauseWhenHidden && (pageHidden || offscreen);
+    }
+
+    function setOptions(nextOptions = {}) {
+        motionOptions = { ...motionOptions, ...nextOptions };
+        notify();
+    }
+
+    function dispose() {
+        if (reducedMotionQuery) {
+            reducedMotionQuery.removeEventListener('change', handleReducedMotionChange);
+        }
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        INPUT_EVENTS.forEach((type) => window.removeEventListener(type, handleInput));
+        if (intersectionObserver) intersectionObserver.disconnect();
+    }
+
+    return {
+        getFrameInterval,
+        isReduced,
+        isIdle,
+        isHidden,
+        setOptions,
+        dispose,
+        get options() {
+            return motionOptions;
+        }
+    };
+}
@@ -0,0 +1,180 @@
+// Colour palettes
+// A palette is a list of gradient stops along the length of each band plus an
+// optional scene background. Sections pick one with data-wave-palette="name";
+// more palettes can be registered in code or loaded from a JSON file:
+//
+//   {
+//       "campaign": {
+//           "background": "#07101f",
+//           "stops": [
+//               { "color": "#3ee0c8", "position": 0.0 },
+//               { "color": "#5a7dff", "position": 0.6 },
+//               { "color": "#ff5fa2", "position": 1.0 }
+//           ]
+//       }
+//   }
+//
+// Stops may also be plain colour strings, in which case they are spread evenly.
+// A stop blends in from the previous stop's position to its own; `from` starts
+// the blend elsewhere (overlapping blends), and `amount` (default 1) mixes the
+// colour only part of the way in. Colours can be given as [r, g, b] (0 to 1).
+// Colours are used as authored: the band shader writes them out unconverted,
+// so "#ff8052" on a palette looks like #ff8052 on screen.
+
+import * as THREE from 'three';
+
+// Must match MAX_PALETTE_STOPS in the fragment shader
+export const MAX_PALETTE_STOPS = 8;
+
+export const PALETTES = {
+    // Blue -> Violet -> Magenta -> Orange, matching the SVG references; the
+    // original band gradient exactly
+    'default': {
+        background: '#0a0a1a',
+        stops: [
+            { color: [0.4, 0.55, 0.92], position: 0.0 },                   // Cool blue
+            { color: [0.55, 0.40, 0.95], from: 0.0, position: 0.3 },       // Violet
+            { color: [0.88, 0.35, 0.62], from: 0.25, position: 0.55 },     // Magenta/pink
+            { color: [1.0, 0.50, 0.32], from: 0.5, position: 0.8 },        // Warm orange
+            // A quarter of the way back towards violet-magenta at the tail
+            { color: [0.715, 0.375, 0.785], from: 0.7, position: 1.0, amount: 0.25 }
+        ]
+    },
+    'aurora': {
+        background: '#06121a',
+        stops: ['#3ee0c8', '#49a6ff', '#7b6cff', '#c86bff']
+    },
+    'ember': {
+        background: '#140806',
+        stops: ['#ffb347', '#ff7a3d', '#f2466b', '#a33cff']
+    },
+    'glacier': {
+        background: '#050b16',
+        stops: ['#e8f1ff', '#9cc4ff', '#5b86f0', '#6a5cf0']
+    }
+};
+
+export function registerPalette(name, palette) {
+    PALETTES[name] = palette;
+}
+
+// Load palettes from a JSON file and register them by name
+// Palettes are registered for every field, so each file is loaded once
+const paletteFiles = new Map();
+
+async function fetchPalettes(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`wave-field: could not load palettes from ${url} (${response.status})`);
+    }
+    const palettes = await response.json();
+    Object.keys(palettes).forEach((name) => registerPalette(name, palettes[name]));
+    return Object.keys(palettes);
+}
+
+export function loadPalettes(url) {
+    if (!paletteFiles.has(url)) {
+        const names = fetchPalettes(url);
+        paletteFiles.set(url, names);
+        names.catch(() => paletteFiles.delete(url));
+    }
+    return paletteFiles.get(url);
+}
+
+function toColor(value) {
+    if (value instanceof THREE.Color) return value.clone();
+    if (Array.isArray(value)) return new THREE.Color().fromArray(value);
+    if (typeof value === 'number') return new THREE.Color().setHex(value, THREE.LinearSRGBColorSpace);
+    return new THREE.Color().setStyle(value, THREE.LinearSRGBColorSpace);
+}
+
+// Normalise a palette (name or object) into sorted colour stops, capped at
+// MAX_PALETTE_STOPS
+export function resolvePalette(source) {
+    const palette = typeof source === 'string' ? PALETTES[source] : source;
+    if (!palette) {
+        if (source) console.warn(`wave-field: unknown palette "${source}", using "default"`);
+        return resolvePalette('default');
+    }
+
+    const stops = (palette.stops || []).slice(0, MAX_PALETTE_STOPS);
+    const count = stops.length;
+    const resolved = stops.map((stop, i) => {
+        const entry = stop && typeof stop === 'object' && !(stop instanceof THREE.Color) && !Array.isArray(stop)
+            ? stop
+            : { color: stop };
+        return {
+            color: toColor(entry.color),
+            position: entry.position ?? (count > 1 ? i / (count - 1) : 0),
+            from: entry.from,
+            amount: entry.amount ?? 1
+        };
+    }).sort((a, b) => a.position - b.position);
+    resolved.forEach((stop, i) => {
+        stop.from = stop.from ?? (i > 0 ? resolved[i - 1].position : stop.position);
+    });
+
+    return {
+        stops: resolved.length > 0 ? resolved : [{ color: new THREE.Color(1, 1, 1), position: 0, from: 0, amount: 1 }],
+        background: palette.background !== undefined ? new THREE.Color(palette.background) : null
+    };
+}
+
+// Uniforms shared by every band material: the palette of the current section
+// and the palette it is crossfading into
+export function createPaletteUniforms() {
+    const makeColors = () => Array.from({ length: MAX_PALETTE_STOPS }, () => new THREE.Color());
+    // Blend start, end and amount
+    const makeStops = () => Array.from({ length: MAX_PALETTE_STOPS }, () => new THREE.Vector3(1, 1, 0));
+    return {
+        uPaletteColors: { value: makeColors() },
+        uPaletteStops: { value: makeStops() },
+        uPaletteCount: { value: 1 },
+        uNextPaletteColors: { value: makeColors() },
+        uNextPaletteStops: { value: makeStops() },
+        uNextPaletteCount: { value: 1 },
+        uPaletteMix: { value: 0.0 }
+    };
+}
+
+export function writePalette(palette, colors, stops) {
+    for (let i = 0; i < MAX_PALETTE_STOPS; i++) {
+        const stop = palette.stops[Math.min(i, palette.stops.length - 1)];
+        colors.value[i].copy(stop.color);
+        if (i < palette.stops.length) {
+            stops.value[i].set(stop.from, stop.position, stop.amount);
+        } else {
+            stops.value[i].set(1, 1, 0);
+        }
+    }
+    return palette.stops.length;
+}
+
+function samplePaletteStops(colors, stops, count, t, out) {
+    out.copy(colors[0]);
+    for (let i = 1; i < Math.min(count, MAX_PALETTE_STOPS); i++) {
+        const { x: from, y: to, z: amount } = stops[i];
+        const span = to - from;
+        const x = span > 0 ? Math.min(Math.max((t - from) / span, 0), 1) : (t >= to ? 1 : 0);
+        out.lerp(colors[i], x * x * (3 - 2 * x) * amount);
+    }
+    return out;
+}
+
+const nextColor = new THREE.Color();
+
+// CPU version of the fragment shader's smoothGradient(), for renderers that
+// draw without it
+export function samplePalette(uniforms, t, out) {
+    samplePaletteStops(
+        uniforms.uPaletteColors.value, uniforms.uPaletteStops.value, uniforms.uPaletteCount.value, t, out
+    );
+    if (uniforms.uPaletteMix.value > 0) {
+        samplePaletteStops(
+            uniforms.uNextPaletteColors.value, uniforms.uNextPaletteStops.value,
+            uniforms.uNextPaletteCount.value, t, nextColor
+        );
+        out.lerp(nextColor, uniforms.uPaletteMix.value);
+    }
+    return out;
+}
@@ -0,0 +1,219 @@
+// Pointer interaction
+// Mouse, pen and touch points (Pointer Events) are projected onto the z = 0
+// plane of the scene, where the band shader bends nearby bands away from them.
+// A click or tap drops a ripple that travels outward along the bands and
+// decays over time.
+
+import * as THREE from 'three';
+
+// Must match MAX_POINTERS / MAX_RIPPLES in the vertex shader
+export const MAX_POINTERS = 4;
+export const MAX_RIPPLES = 8;
+
+export const DEFAULT_POINTER_OPTIONS = {
+    radius: 2.5,    // world units around the pointer that bands react to
+    strength: 0.6,  // maximum displacement in world units
+    falloff: 2.0,   // exponent of the edge falloff, higher = tighter core
+    ease: 0.12      // smoothing of pointer position and presence
+};
+
+export const DEFAULT_RIPPLE_OPTIONS = {
+    amplitude: 0.5,
+    speed: 3.5,     // world units per second
+    width: 0.9,     // thickness of the ripple front
+    wavelength: 1.4,
+    decay: 1.1,     // exponential decay per second
+    lifetime: 5.0   // seconds before a ripple slot is recycled
+};
+
+export function createPointerUniforms() {
+    return {
+        uPointers: { value: Array.from({ length: MAX_POINTERS }, () => new THREE.Vector3()) },
+        uPointerRadius: { value: DEFAULT_POINTER_OPTIONS.radius },
+        uPointerStrength: { value: DEFAULT_POINTER_OPTIONS.strength },
+        uPointerFalloff: { value: DEFAULT_POINTER_OPTIONS.falloff },
+        uRipples: { value: Array.from({ length: MAX_RIPPLES }, () => new THREE.Vector4(0, 0, -1000, 0)) },
+        uRippleSpeed: { value: DEFAULT_RIPPLE_OPTIONS.speed },
+        uRippleWidth: { value: DEFAULT_RIPPLE_OPTIONS.width },
+        uRippleWavelength: { value: DEFAULT_RIPPLE_OPTIONS.wavelength },
+        uRippleDecay: { value: DEFAULT_RIPPLE_OPTIONS.decay },
+        uClock: { value: 0 }
+    };
+}
+
+export function createPointerInput({ camera, element, uniforms, options = {} }) {
+    let pointerOptions = { ...DEFAULT_POINTER_OPTIONS, ...options.pointer };
+    let rippleOptions = { ...DEFAULT_RIPPLE_OPTIONS, ...options.ripple };
+
+    // One slot per tracked pointer; x/y are world coordinates on z = 0
+    const slots = Array.from({ length: MAX_POINTERS }, () => ({
+        id: null,
+        active: false,
+        presence: 0,
+        target: new THREE.Vector2(),
+        current: new THREE.Vector2()
+    }));
+
+    let clock = 0;
+    let nextRipple = 0;
+    let enabled = true;
+
+    const ndc = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+
+    // Project client coordinates onto the z = 0 plane
+    function toWorld(clientX, clientY, out) {
+        const rect = element.getBoundingClientRect();
+        ndc.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+            0.5
+        );
+        ndc.unproject(camera);
+        direction.copy(ndc).sub(camera.position).normalize();
+        const distance = direction.z !== 0 ? -camera.position.z / direction.z : 0;
+        out.set(
+            camera.position.x + direction.x * distance,
+            camera.position.y + direction.y * distance
+        );
+        return out;
+    }
+
+    function findSlot(id) {
+        return slots.find((slot) => slot.active && slot.id === id);
+    }
+
+    function claimSlot(id) {
+        return findSlot(id)
+            || slots.find((slot) => !slot.active)
+            || slots.reduce((weakest, slot) => (slot.presence < weakest.presence ? slot : weakest));
+    }
+
+    function handlePointerMove(event) {
+        if (!enabled) return;
+        const slot = event.pointerType === 'mouse' ? claimSlot(event.pointerId) : findSlot(event.pointerId);
+        if (!slot) return;
+        const wasActive = slot.active && slot.id === event.pointerId;
+        slot.id = event.pointerId;
+        slot.active = true;
+        toWorld(event.clientX, event.clientY, slot.target);
+        if (!wasActive) slot.current.copy(slot.target);
+    }
+
+    function handlePointerDown(event) {
+        if (!enabled) return;
+        const slot = claimSlot(event.pointerId);
+        slot.id = event.pointerId;
+        slot.active = true;
+        toWorld(event.clientX, event.clientY, slot.target);
+        slot.current.copy(slot.target);
+
+        if (event.isPrimary || event.pointerType === 'touch') {
+            addRipple(slot.target.x, slot.target.y);
+        }
+    }
+
+    // Touch and pen points disappear when lifted; the mouse stays until it
+    // leaves the window
+    function handlePointerUp(event) {
+        if (event.pointerType === 'mouse') return;
+        releasePointer(event.pointerId);
+    }
+
+    function handlePointerCancel(event) {
+        releasePointer(event.pointerId);
+    }
+
+    function handlePointerOut(event) {
+        if (event.relatedTarget === null) releasePointer(event.pointerId);
+    }
+
+    function releasePointer(id) {
+        const slot = findSlot(id);
+        if (slot) slot.active = false;
+    }
+
+    function addRipple(x, y, amplitude = rippleOptions.amplitude) {
+        uniforms.uRipples.value[nextRipple].set(x, y, clock, amplitude);
+        nextRipple = (nextRipple + 1) % MAX_RIPPLES;
+    }
+
+    // Advance smoothing and write the shared uniforms
+    function update(time) {
+        clock = time;
+        uniforms.uClock.value = time;
+
+        slots.forEach((slot, i) => {
+            slot.presence += ((slot.active ? 1 : 0) - slot.presence) * pointerOptions.ease;
+            slot.current.lerp(slot.target, pointerOptions.ease);
+            uniforms.uPointers.value[i].set(slot.current.x, slot.current.y, slot.presence);
+        });
+
+        uniforms.uRipples.value.forEach((ripple) => {
+            if (ripple.w !== 0 && time - ripple.z > rippleOptions.lifetime) ripple.w = 0;
+        });
+    }
+
+    // Disabled input releases every pointer and clears pending ripples, so
+    // the bands settle back into their plain wave shape
+    function setEnabled(nextEnabled) {
+        if (enabled === nextEnabled) return;
+        enabled = nextEnabled;
+        if (!enabled) {
+            slots.forEach((slot) => {
+                slot.active = false;
+            });
+            uniforms.uRipples.value.forEach((ripple) => {
+                ripple.w = 0;
+            });
+        }
+    }
+
+    // Forget every pointer and ripple outright, without the smoothed fade
+    function reset() {
+        slots.forEach((slot) => {
+            slot.active = false;
+            slot.presence = 0;
+        });
+        uniforms.uPointers.value.forEach((pointer) => pointer.set(0, 0, 0));
+        uniforms.uRipples.value.forEach((ripple) => ripple.set(0, 0, -1000, 0));
+        nextRipple = 0;
+    }
+
+    function setOptions(nextOptions = {}) {
+        pointerOptions = { ...pointerOptions, ...nextOptions.pointer };
+        rippleOptions = { ...rippleOptions, ...nextOptions.ripple };
+        uniforms.uPointerRadius.value = pointerOptions.radius;
+        uniforms.uPointerStrength.value = pointerOptions.strength;
+        uniforms.uPointerFalloff.value = pointerOptions.falloff;
+        uniforms.uRippleSpeed.value = rippleOptions.speed;
+        uniforms.uRippleWidth.value = rippleOptions.width;
+        uniforms.uRippleWavelength.value = rippleOptions.wavelength;
+        uniforms.uRippleDecay.value = rippleOptions.decay;
+    }
+
+    window.addEventListener('pointermove', handlePointerMove, { passive: true });
+    window.addEventListener('pointerdown', handlePointerDown, { passive: true });
+    window.addEventListener('pointerup', handlePointerUp, { passive: true });
+    window.addEventListener('pointercancel', handlePointerCancel, { passive: true });
+    document.addEventListener('pointerout', handlePointerOut, { passive: true });
+
+    function dispose() {
+        window.removeEventListener('pointermove', handlePointerMove);
+        window.removeEventListener('pointerdown', handlePointerDown);
+        window.removeEventListener('pointerup', handlePointerUp);
+        window.removeEventListener('pointercancel', handlePointerCancel);
+        document.removeEventListener('pointerout', handlePointerOut);
+    }
+
+    setOptions();
+
+    return {
+        update,
+        addRipple,
+        setEnabled,
+        setOptions,
+        reset,
+        dispose
+    };
+}
@@ -0,0 +1,522 @@
+// Post-processing chain
+// Screen effects after the bloom: chromatic aberration, lens dirt, a colour
+// grading LUT, afterimage trails, film grain and a vignette. The post option
+// sets them up for every section; a section turns them on, off or retunes
+// them through the "post" field of its preset, and may reorder them:
+//
+//   post: {
+//       order: ['lut', 'vignette', 'grain'],   // the rest follow in default order
+//       vignette: true,                         // on, with the post option's settings
+//       grain: { intensity: 0.1 },              // on, with these settings
+//       afterimage: false                       // off in this section
+//   }
+//
+// `post: false` turns every effect off for the section. Effects fade in and
+// out over the section crossfade; a changed order applies halfway through it.
+// Each effect's numeric settings and its `amount` (0.0 off, 1.0 fully on) are
+// timeline targets too: 'post.<effect>.<setting>', e.g. 'post.vignette.darkness'.
+//
+// Selective bloom (the bloom option's `selective`, 0.0 to 1.0) blends what
+// feeds the bloom from the whole frame towards the band cores alone, so the
+// soft glow around the lines blooms less and less. It costs a second scene
+// render while it is above 0.0.
+//
+// Whichever pass comes last draws to the screen: the effects, the core bloom
+// composite and the avoid-zone mask in webgl-renderer.js all apply the
+// renderer's tone mapping and output colour space for that case.
+//
+// The page resolves the section chains; createPostChain() builds the passes
+// for webgl-renderer.js, on the page or in the render worker.
+
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { LUTCubeLoader } from 'three/addons/loaders/LUTCubeLoader.js';
+import {
+    afterimageFragmentShader,
+    bloomMaskVertexShader,
+    bloomSourceFragmentShader,
+    chromaticAberrationFragmentShader,
+    coreBloomFragmentShader,
+    grainFragmentShader,
+    lensDirtFragmentShader,
+    lutFragmentShader,
+    vignetteFragmentShader
+} from './shaders.js';
+
+export const POST_EFFECTS = ['chromaticAberration', 'lensDirt', 'lut', 'afterimage', 'grain', 'vignette'];
+
+export const DEFAULT_POST_OPTIONS = {
+    order: POST_EFFECTS,
+    chromaticAberration: {
+        enabled: false,
+        offset: 0.006       // red/blue split at the frame's edges, share of the frame
+    },
+    lensDirt: {
+        enabled: false,
+        intensity: 0.6,     // how much of the bloom the dirt catches
+        scale: 1.0,         // texture repeats, or smudge size
+        texture: null       // image URL; made-up smudges without one
+    },
+    lut: {
+        enabled: false,
+        url: null,          // .cube colour grading file
+        intensity: 1.0
+    },
+    afterimage: {
+        enabled: false,
+        damp: 0.85          // share of the trail kept each frame
+    },
+    grain: {
+        enabled: false,
+        intensity: 0.06,
+        size: 1.5           // drawing buffer pixels per grain
+    },
+    vignette: {
+        enabled: false,
+        offset: 1.0,
+        darkness: 1.1
+    }
+};
+
+// Settings naming files, resolved on the page; the worker has another address
+const URL_SETTINGS = ['url', 'texture'];
+
+// ============================================
+// SECTION CHAINS
+// ============================================
+
+function resolveUrl(url) {
+    if (!url || typeof document === 'undefined') return url || null;
+    return new URL(url, document.baseURI).href;
+}
+
+// Listed effects first, the others after them in default order
+function normalizeOrder(order) {
+    const listed = (Array.isArray(order) ? order : [])
+        .filter((name, i, all) => POST_EFFECTS.includes(name) && all.indexOf(name) === i);
+    return listed.concat(POST_EFFECTS.filter((name) => !listed.includes(name)));
+}
+
+// A section's chain from its preset field on top of the post option:
+// { order, effects: { <name>: { amount, ...settings } } }
+export function resolvePost(declared, options) {
+    const section = declared && typeof declared === 'object' ? declared : {};
+    const effects = {};
+
+    POST_EFFECTS.forEach((name) => {
+        const { enabled, ...settings } = { ...DEFAULT_POST_OPTIONS[name], ...options[name] };
+        const own = section[name];
+        let on = declared !== false && Boolean(enabled);
+        if (typeof own === 'boolean') {
+            on = own;
+        } else if (own && typeof own === 'object') {
+            const { enabled: ownEnabled, ...ownSettings } = own;
+            on = ownEnabled !== false;
+            Object.assign(settings, ownSettings);
+        }
+        URL_SETTINGS.forEach((key) => {
+            if (key in settings) settings[key] = resolveUrl(settings[key]);
+        });
+        effects[name] = { amount: on ? 1.0 : 0.0, ...settings };
+    });
+
+    return { order: normalizeOrder(section.order || options.order), effects };
+}
+
+export function createPostState() {
+    return { order: POST_EFFECTS.slice(), effects: {}, time: 0 };
+}
+
+// The chain between two sections, written into `out`. Settings follow the
+// side where the effect is on; an effect switching files (another LUT) fades
+// out and back in around the halfway point.
+export function blendPost(from, to, t, out) {
+    const target = to || from;
+    out.order = t < 0.5 ? from.order : target.order;
+
+    POST_EFFECTS.forEach((name) => {
+        const a = from.effects[name];
+        const b = target.effects[name];
+        const effect = out.effects[name] || (out.effects[name] = {});
+        let swapped = false;
+
+        Object.keys(a).forEach((key) => {
+            const x = a[key];
+            const y = b[key];
+            if (typeof x === 'number' && typeof y === 'number') {
+                if (key === 'amount' || (a.amount > 0 && b.amount > 0)) {
+                    effect[key] = x + (y - x) * t;
+                } else {
+                    effect[key] = a.amount > 0 ? x : y;
+                }
+            } else {
+                effect[key] = t < 0.5 ? x : y;
+                if (x !== y && a.amount > 0 && b.amount > 0) swapped = true;
+            }
+        });
+
+        if (swapped) {
+            effect.amount = t < 0.5 ? a.amount * (1.0 - t * 2.0) : b.amount * (t * 2.0 - 1.0);
+        }
+    });
+    return out;
+}
+
+// ============================================
+// PASSES
+// ============================================
+
+const MIN_AMOUNT = 0.001;
+
+// A full-screen effect with uAmount and, if it has one, a uResolution that
+// follows the drawing buffer
+function createEffectPass(fragmentShader, uniforms) {
+    const pass = new ShaderPass({
+        uniforms: {
+            tDiffuse: { value: null },
+            uAmount: { value: 0 },
+            ...uniforms
+        },
+        vertexShader: bloomMaskVertexShader,
+        fragmentShader
+    });
+    if (pass.uniforms.uResolution) {
+        pass.setSize = (width, height) => pass.uniforms.uResolution.value.set(width, height);
+    }
+    return pass;
+}
+
+// Renders the band cores (uBloomCore on the band materials), blooms them with
+// the regular bloom pass and adds that bloom to the frame
+function createCoreBloomPass({ scene, camera, bloomPass }) {
+    const pass = new Pass();
+    const coreTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    const sourceTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    const sourceMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            tDiffuse: { value: null },
+            tCores: { value: coreTarget.texture },
+            uSelective: { value: 0 }
+        },
+        vertexShader: bloomMaskVertexShader,
+        fragmentShader: bloomSourceFragmentShader
+    });
+    const sourceQuad = new FullScreenQuad(sourceMaterial);
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            tDiffuse: { value: null },
+            tBloom: { value: null }
+        },
+        vertexShader: bloomMaskVertexShader,
+        fragmentShader: coreBloomFragmentShader
+    });
+    const quad = new FullScreenQuad(material);
+    const clearColor = new THREE.Color();
+
+    pass.enabled = false;
+    pass.selective = 0;
+
+    function setCore(value) {
+        scene.children.forEach((mesh) => {
+            const uniforms = mesh.material && mesh.material.uniforms;
+            if (uniforms && uniforms.uBloomCore) uniforms.uBloomCore.value = value;
+        });
+    }
+
+    pass.setSize = (width, height) => {
+        coreTarget.setSize(width, height);
+        sourceTarget.setSize(width, height);
+    };
+
+    pass.render = (renderer, writeBuffer, readBuffer, deltaTime, maskActive) => {
+        const { background } = scene;
+        const clearAlpha = renderer.getClearAlpha();
+        renderer.getClearColor(clearColor);
+
+        scene.background = null;
+        setCore(1);
+        renderer.setRenderTarget(coreTarget);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.render(scene, camera);
+        setCore(0);
+        scene.background = background;
+        renderer.setClearColor(clearColor, clearAlpha);
+
+        // At 0.0 the source is the frame the bloom pass would have used
+        sourceMaterial.uniforms.tDiffuse.value = readBuffer.texture;
+        sourceMaterial.uniforms.uSelective.value = pass.selective;
+        renderer.setRenderTarget(sourceTarget);
+        sourceQuad.render(renderer);
+
+        // The bloom pass also blends onto its source, which is not used again
+        bloomPass.renderToScreen = false;
+        bloomPass.render(renderer, null, sourceTarget, deltaTime, maskActive);
+
+        material.uniforms.tDiffuse.value = readBuffer.texture;
+        material.uniforms.tBloom.value = bloomPass.renderTargetsHorizontal[0].texture;
+        renderer.setRenderTarget(pass.renderToScreen ? null : writeBuffer);
+        quad.render(renderer);
+    };
+
+    pass.dispose = () => {
+        coreTarget.dispose();
+        sourceTarget.dispose();
+        sourceMaterial.dispose();
+        sourceQuad.dispose();
+        material.dispose();
+        quad.dispose();
+    };
+
+    return pass;
+}
+
+// Trails from a history of the pass's own output
+function createAfterimagePass() {
+    const pass = new Pass();
+    let current = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    let previous = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            tDiffuse: { value: null },
+            tOld: { value: null },
+            uAmount: { value: 0 },
+            uDamp: { value: DEFAULT_POST_OPTIONS.afterimage.damp }
+        },
+        vertexShader: bloomMaskVertexShader,
+        fragmentShader: afterimageFragmentShader
+    });
+    const quad = new FullScreenQuad(material);
+    const copy = new FullScreenQuad(new THREE.MeshBasicMaterial());
+
+    // The history is stale after a resize or while the effect was off
+    let fresh = true;
+
+    pass.uniforms = material.uniforms;
+
+    pass.reset = () => {
+        fresh = true;
+    };
+
+    pass.setSize = (width, height) => {
+        current.setSize(width, height);
+        previous.setSize(width, height);
+        fresh = true;
+    };
+
+    pass.render = (renderer, writeBuffer, readBuffer) => {
+        const amount = material.uniforms.uAmount.value;
+        material.uniforms.tDiffuse.value = readBuffer.texture;
+        material.uniforms.tOld.value = previous.texture;
+        if (fresh) material.uniforms.uAmount.value = 0;
+        renderer.setRenderTarget(current);
+        quad.render(renderer);
+        material.uniforms.uAmount.value = amount;
+        fresh = false;
+
+        copy.material.map = current.texture;
+        renderer.setRenderTarget(pass.renderToScreen ? null : writeBuffer);
+        copy.render(renderer);
+
+        [current, previous] = [previous, current];
+    };
+
+    pass.dispose = () => {
+        current.dispose();
+        previous.dispose();
+        material.dispose();
+        quad.dispose();
+        copy.material.dispose();
+        copy.dispose();
+    };
+
+    return pass;
+}
+
+// ============================================
+// POST CHAIN
+// ============================================
+
+export function createPostChain({ renderer, composer, scene, camera, bloomPass }) {
+    const corePass = createCoreBloomPass({ scene, camera, bloomPass });
+
+    const passes = {
+        chromaticAberration: createEffectPass(chromaticAberrationFragmentShader, {
+            uOffset: { value: 0 }
+        }),
+        lensDirt: createEffectPass(lensDirtFragmentShader, {
+            tBloom: { value: null },
+            tDirt: { value: null },
+            uHasDirt: { value: false },
+            uResolution: { value: new THREE.Vector2(1, 1) },
+            uIntensity: { value: 0 },
+            uScale: { value: 1 }
+        }),
+        lut: createEffectPass(lutFragmentShader, {
+            tLut: { value: null },
+            uLutSize: { value: 1 },
+            uIntensity: { value: 0 }
+        }),
+        afterimage: createAfterimagePass(),
+        grain: createEffectPass(grainFragmentShader, {
+            uResolution: { value: new THREE.Vector2(1, 1) },
+            uTime: { value: 0 },
+            uIntensity: { value: 0 },
+            uSize: { value: 1 }
+        }),
+        vignette: createEffectPass(vignetteFragmentShader, {
+            uOffset: { value: 1 },
+            uDarkness: { value: 1 }
+        })
+    };
+    Object.values(passes).forEach((pass) => {
+        pass.enabled = false;
+    });
+
+    // ShaderPass clones its uniforms, so textures are set afterwards
+    passes.lensDirt.uniforms.tBloom.value = bloomPass.renderTargetsHorizontal[0].texture;
+
+    // ============================================
+    // FILES
+    // ============================================
+
+    // By URL: null while loading or after it failed
+    const files = new Map();
+    let disposed = false;
+
+    function loadFile(url, load) {
+        if (files.has(url)) return files.get(url);
+        files.set(url, null);
+        load(url)
+            .then((texture) => {
+                if (disposed) {
+                    texture.dispose();
+                } else {
+                    files.set(url, texture);
+                }
+            })
+            .catch((error) => console.warn(`wave-field: could not load post effect file ${url}`, error));
+        return null;
+    }
+
+    // The 3D texture needs WebGL 2
+    function loadLut(url) {
+        return new LUTCubeLoader().loadAsync(url).then((result) => result.texture3D);
+    }
+
+    // Image bitmaps work in the render worker as well
+    function loadDirt(url) {
+        const loader = new THREE.ImageBitmapLoader();
+        loader.setOptions({ imageOrientation: 'flipY' });
+        return loader.loadAsync(url).then((bitmap) => {
+            const texture = new THREE.Texture(bitmap);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.needsUpdate = true;
+            return texture;
+        });
+    }
+
+    // ============================================
+    // FRAME
+    // ============================================
+
+    let order = null;
+
+    // Effect passes follow the bloom and mask passes, in the section's order
+    function applyOrder(nextOrder) {
+        const key = nextOrder.join();
+        if (key === order) return;
+        order = key;
+        const effectPasses = Object.values(passes);
+        composer.passes = composer.passes
+            .filter((pass) => !effectPasses.includes(pass))
+            .concat(nextOrder.map((name) => passes[name]));
+    }
+
+    function applyEffect(name, effect) {
+        const pass = passes[name];
+        const { uniforms } = pass;
+        let enabled = effect.amount > MIN_AMOUNT;
+
+        switch (name) {
+            case 'chromaticAberration':
+                uniforms.uOffset.value = effect.offset;
+                break;
+            case 'lensDirt': {
+                const texture = effect.texture ? loadFile(effect.texture, loadDirt) : null;
+                uniforms.tDirt.value = texture;
+                uniforms.uHasDirt.value = Boolean(texture);
+                uniforms.uIntensity.value = effect.intensity;
+                uniforms.uScale.value = effect.scale;
+                break;
+            }
+            case 'lut': {
+                const texture = effect.url && renderer.capabilities.isWebGL2 ? loadFile(effect.url, loadLut) : null;
+                uniforms.tLut.value = texture;
+                uniforms.uLutSize.value = texture ? texture.image.width : 1;
+                uniforms.uIntensity.value = effect.intensity;
+                enabled = enabled && Boolean(texture);
+                break;
+            }
+            case 'afterimage':
+                uniforms.uDamp.value = effect.damp;
+                if (enabled && !pass.enabled) pass.reset();
+                break;
+            case 'grain':
+                uniforms.uIntensity.value = effect.intensity;
+                uniforms.uSize.value = effect.size;
+                break;
+            case 'vignette':
+                uniforms.uOffset.value = effect.offset;
+                uniforms.uDarkness.value = effect.darkness;
+                break;
+            default:
+                break;
+        }
+
+        uniforms.uAmount.value = effect.amount;
+        pass.enabled = enabled;
+    }
+
+    // `post` is a blended section chain (blendPost) with the frame's time;
+    // above 0.0 selective bloom swaps the bloom pass for the core bloom pass,
+    // whose source starts from the same frame, so the bloom does not jump
+    function apply(post, selective) {
+        corePass.selective = selective;
+        corePass.enabled = selective > 0;
+        bloomPass.enabled = !corePass.enabled;
+
+        if (!post) return;
+        applyOrder(post.order);
+        POST_EFFECTS.forEach((name) => {
+            if (post.effects[name]) applyEffect(name, post.effects[name]);
+        });
+        passes.grain.uniforms.uTime.value = post.time;
+    }
+
+    // Drop the afterimage history, so trails start from the next frame
+    function clearHistory() {
+        passes.afterimage.reset();
+    }
+
+    function dispose() {
+        disposed = true;
+        corePass.dispose();
+        Object.values(passes).forEach((pass) => pass.dispose());
+        files.forEach((texture) => {
+            if (texture) texture.dispose();
+        });
+        files.clear();
+    }
+
+    return {
+        corePass,
+        passes: POST_EFFECTS.map((name) => passes[name]),
+        apply,
+        clearHistory,
+        dispose
+    };
+}
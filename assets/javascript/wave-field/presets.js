@@ -0,0 +1,179 @@
+// Section presets
+// Each <section> declares how its wave bands look, either by name
+// (data-wave-preset="diagonal-right") or as inline JSON
+// (data-wave-preset='{"extends": "horizontal", "lines": 20}').
+//
+// Ranges are written as [first line, last line] and spread linearly across the
+// lines of the section; a single number applies to every line. Opacity cycles
+// over groups of three lines so neighbouring bands stay distinguishable.
+
+export const DIRECTIONS = {
+    'horizontal': 0.0,
+    'diagonal-right': 1.0,
+    'diagonal-left': 2.0
+};
+
+export const CURVE_TYPES = {
+    'gentle': 0.0,
+    'moderate': 1.0,
+    'strong': 2.0
+};
+
+const OPACITY_CYCLE = 3;
+
+export const WAVE_PRESETS = {
+    // Horizontal flow (Screen-1.svg pattern)
+    'horizontal': {
+        lines: 14,
+        direction: 'horizontal',
+        curveType: 'gentle',
+        speed: [0.08, 0.119],
+        amplitude: [0.4, 0.66],
+        frequency: [0.12, 0.25],
+        colorIntensity: [0.8, 0.93],
+        opacity: [0.35, 0.45],
+        zDepth: [-2.0, 1.9],
+        verticalOffset: [-6.0, 5.7],
+        phaseStep: 0.15
+    },
+    // Diagonal flow (Screen-2.svg pattern)
+    'diagonal-right': {
+        lines: 13,
+        direction: 'diagonal-right',
+        curveType: 'moderate',
+        speed: [0.12, 0.168],
+        amplitude: [0.6, 0.96],
+        frequency: [0.15, 0.294],
+        colorIntensity: [0.85, 0.97],
+        opacity: [0.40, 0.50],
+        zDepth: [-1.8, 1.8],
+        verticalOffset: [-5.5, 5.9],
+        phaseStep: 0.18,
+        // Flying in along the diagonal, see camera.js
+        camera: {
+            position: [-1.2, -0.6, 7.0],
+            lookAt: [0.6, 0.2, -1.0],
+            roll: -3,
+            travel: 3.0
+        }
+    },
+    // Opposite diagonal flow (Screen-3.svg pattern)
+    'diagonal-left': {
+        lines: 13,
+        direction: 'diagonal-left',
+        curveType: 'strong',
+        speed: [0.14, 0.20],
+        amplitude: [0.7, 1.12],
+        frequency: [0.18, 0.348],
+        colorIntensity: [0.90, 1.02],
+        opacity: [0.42, 0.52],
+        zDepth: [-1.5, 2.1],
+        verticalOffset: [-5.8, 5.24],
+        phaseStep: 0.20,
+        camera: {
+            position: [1.2, 0.6, 7.0],
+            lookAt: [-0.6, -0.2, -1.0],
+            roll: 3,
+            travel: 3.0
+        }
+    },
+    // Slow, wide horizon behind the closing call to action
+    'horizon': {
+        lines: 10,
+        direction: 'horizontal',
+        curveType: 'gentle',
+        speed: [0.05, 0.08],
+        amplitude: [0.25, 0.45],
+        frequency: [0.08, 0.14],
+        colorIntensity: [0.75, 0.85],
+        opacity: [0.30, 0.40],
+        zDepth: [-2.0, 1.0],
+        verticalOffset: [-4.5, 1.5],
+        phaseStep: 0.12,
+        // Raised and looking down onto the horizon
+        camera: {
+            position: [0.0, 1.5, 8.5],
+            lookAt: [0.0, -0.5, 0.0]
+        },
+        // A filmic close, see post.js
+        post: {
+            vignette: true,
+            grain: true
+        }
+    }
+};
+
+// Presets used when the page declares no sections of its own
+export const DEFAULT_SECTION_PRESETS = ['horizontal', 'diagonal-right', 'diagonal-left'];
+
+export function registerPreset(name, preset) {
+    WAVE_PRESETS[name] = resolvePreset(preset);
+}
+
+// Resolve a preset name, a JSON string or a preset object (optionally with
+// "extends") into a complete preset object
+export function resolvePreset(source) {
+    if (typeof source === 'string') {
+        const trimmed = source.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                return resolvePreset(JSON.parse(trimmed));
+            } catch (error) {
+                console.warn(`wave-field: invalid preset JSON "${trimmed}"`, error);
+                return { ...WAVE_PRESETS.horizontal };
+            }
+        }
+        if (!WAVE_PRESETS[trimmed]) {
+            console.warn(`wave-field: unknown preset "${trimmed}", using "horizontal"`);
+            return { ...WAVE_PRESETS.horizontal };
+        }
+        return { ...WAVE_PRESETS[trimmed] };
+    }
+
+    if (!source || typeof source !== 'object') {
+        return { ...WAVE_PRESETS.horizontal };
+    }
+
+    const { extends: baseName, ...overrides } = source;
+    const base = resolvePreset(baseName || 'horizontal');
+    return { ...base, ...overrides };
+}
+
+// Read the preset declared on a section element
+export function readSectionPreset(element, fallback) {
+    const declared = element.dataset.wavePreset;
+    return resolvePreset(declared || fallback || 'horizontal');
+}
+
+// Value for line `i` of `count` from a [first, last] range or a constant
+function spread(range, i, count) {
+    if (!Array.isArray(range)) return range;
+    const t = count > 1 ? i / (count - 1) : 0;
+    return range[0] + (range[1] - range[0]) * t;
+}
+
+function toNumber(value, table) {
+    if (typeof value === 'number') return value;
+    return table[value] ?? 0.0;
+}
+
+// Expand a preset into one line config per band
+export function buildSectionLines(preset, sectionIndex) {
+    const count = Math.max(1, Math.round(preset.lines));
+    const direction = toNumber(preset.direction, DIRECTIONS);
+    const curveType = toNumber(preset.curveType, CURVE_TYPES);
+
+    return Array.from({ length: count }, (_, i) => ({
+        sectionIndex,
+        zDepth: spread(preset.zDepth, i, count),
+        speed: spread(preset.speed, i, count),
+        opacity: spread(preset.opacity, i % OPACITY_CYCLE, OPACITY_CYCLE),
+        colorIntensity: spread(preset.colorIntensity, i, count),
+        amplitude: spread(preset.amplitude, i, count),
+        frequency: spread(preset.frequency, i, count),
+        verticalOffset: spread(preset.verticalOffset, i, count),
+        direction,
+        curveType,
+        phaseOffset: i * Math.PI * preset.phaseStep
+    }));
+}
@@ -0,0 +1,133 @@
+// Adaptive quality
+// Watches the measured frame time and steps between quality tiers. Dropping a
+// tier needs a short run of slow frames; climbing back needs a longer run of
+// fast ones, and every drop right after a climb doubles the wait before the
+// next climb, so a device sitting on the edge of a tier settles instead of
+// oscillating. quality: 'low' | 'medium' | 'high' pins a tier instead.
+
+export const QUALITY_TIERS = {
+    low: {
+        pixelRatio: 1,
+        bloomScale: 0.35,   // bloom render target size relative to the canvas
+        bloomRadius: 0.6,   // multiplier on the configured bloom radius
+        segments: 96,       // width segments per band
+        bandFraction: 0.5,  // share of each section's bands that are drawn
+        octaves: 2          // fbm noise octaves in the vertex shader
+    },
+    medium: {
+        pixelRatio: 1.5,
+        bloomScale: 0.5,
+        bloomRadius: 0.85,
+        segments: 160,
+        bandFraction: 0.75,
+        octaves: 3
+    },
+    high: {
+        pixelRatio: 2,
+        bloomScale: 1.0,
+        bloomRadius: 1.0,
+        segments: 256,
+        bandFraction: 1.0,
+        octaves: 4
+    }
+};
+
+export const QUALITY_ORDER = ['low', 'medium', 'high'];
+
+const DEFAULT_GOVERNOR_OPTIONS = {
+    downgradeFrameTime: 1000 / 45,  // ms; slower than this counts as a slow frame
+    upgradeFrameTime: 1000 / 55,    // ms; faster than this counts as a fast frame
+    downgradeAfter: 1.5,            // seconds of slow frames before dropping a tier
+    upgradeAfter: 4.0,              // seconds of fast frames before climbing a tier
+    maxUpgradeDelay: 60.0,          // cap for the growing climb delay
+    smoothing: 0.1                  // EMA factor for the frame time average
+};
+
+export function createQualityGovernor({ mode = 'auto', initialTier = 'high', onChange, options = {} } = {}) {
+    const governorOptions = { ...DEFAULT_GOVERNOR_OPTIONS, ...options };
+
+    let currentMode = mode;
+    let tierIndex = QUALITY_ORDER.indexOf(mode === 'auto' ? initialTier : mode);
+    if (tierIndex < 0) tierIndex = QUALITY_ORDER.length - 1;
+
+    let averageFrameTime = 0;
+    let slowTime = 0;
+    let fastTime = 0;
+    let upgradeDelay = governorOptions.upgradeAfter;
+    let lastChange = null;
+
+    function setTier(index, frameTime) {
+        const previous = QUALITY_ORDER[tierIndex];
+        tierIndex = index;
+        slowTime = 0;
+        fastTime = 0;
+        if (onChange) {
+            onChange({
+                tier: QUALITY_ORDER[tierIndex],
+                previous,
+                mode: currentMode,
+                frameTime
+            });
+        }
+    }
+
+    // Feed one frame's duration (ms)
+    function sample(frameTime) {
+        if (currentMode !== 'auto') return;
+        // Ignore hitches from tab switches, breakpoints or first frames
+        if (!(frameTime > 0) || frameTime > 250) return;
+
+        averageFrameTime = averageFrameTime === 0
+            ? frameTime
+            : averageFrameTime + (frameTime - averageFrameTime) * governorOptions.smoothing;
+        const seconds = frameTime / 1000;
+
+        if (averageFrameTime > governorOptions.downgradeFrameTime) {
+            slowTime += seconds;
+            fastTime = 0;
+        } else if (averageFrameTime < governorOptions.upgradeFrameTime) {
+            fastTime += seconds;
+            slowTime = 0;
+        } else {
+            slowTime = 0;
+            fastTime = 0;
+        }
+
+        if (slowTime >= governorOptions.downgradeAfter && tierIndex > 0) {
+            // Dropping straight after a climb means the climb was premature
+            if (lastChange === 'up') {
+                upgradeDelay = Math.min(upgradeDelay * 2, governorOptions.maxUpgradeDelay);
+            }
+            lastChange = 'down';
+            setTier(tierIndex - 1, averageFrameTime);
+        } else if (fastTime >= upgradeDelay && tierIndex < QUALITY_ORDER.length - 1) {
+            lastChange = 'up';
+            setTier(tierIndex + 1, averageFrameTime);
+        }
+    }
+
+    function setMode(nextMode) {
+        currentMode = nextMode;
+        averageFrameTime = 0;
+        slowTime = 0;
+        fastTime = 0;
+        if (nextMode !== 'auto') {
+            const index = QUALITY_ORDER.indexOf(nextMode);
+            if (index >= 0 && index !== tierIndex) setTier(index, averageFrameTime);
+        }
+    }
+
+    return {
+        sample,
+        setMode,
+        get mode() {
+            return currentMode;
+        },
+        get tier() {
+            return QUALITY_ORDER[tierIndex];
+        },
+        get settings() {
+            return QUALITY_TIERS[QUALITY_ORDER[tierIndex]];
+        }
+    };
+}
@@ -0,0 +1,210 @@
+// Render worker
+// The worker side of worker-renderer.js: rebuilds the page's meshes from the
+// posted frames and draws them into the transferred OffscreenCanvas with the
+// regular WebGL renderer and bloom composer (webgl-renderer.js).
+//
+// This is a classic worker script. Module workers cannot use an import map,
+// so the modules are loaded through es-module-shims with the page's map.
+
+let THREE = null;
+let host = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.type === 'init') {
+        init(message);
+    } else if (host) {
+        host.handleMessage(message);
+    }
+});
+
+async function init({ canvas, importMap, shims }) {
+    try {
+        self.esmsInitOptions = { shimMode: true };
+        importScripts(shims);
+        self.importShim.addImportMap(importMap);
+
+        THREE = await self.importShim('three');
+        const { createWebGLRenderer } = await self.importShim(new URL('./webgl-renderer.js', self.location.href).href);
+        host = createHost(canvas, createWebGLRenderer);
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error && error.message ? error.message : String(error) });
+    }
+}
+
+function createHost(canvas, createWebGLRenderer) {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color();
+    const camera = new THREE.PerspectiveCamera();
+
+    const renderer = createWebGLRenderer({
+        scene,
+        camera,
+        canvas,
+        onContextLost: () => self.postMessage({ type: 'contextlost' }),
+        onContextRestored: () => self.postMessage({ type: 'contextrestored' })
+    });
+
+    // Everything the page has sent, by its uuid on the page
+    const meshes = new Map();
+    const geometries = new Map();
+    const materials = new Map();
+    const textures = new Map();
+    const uniformSets = new Map();
+
+    // ============================================
+    // SCENE MIRROR
+    // ============================================
+
+    function buildGeometry(source) {
+        const geometry = source.instanced ? new THREE.InstancedBufferGeometry() : new THREE.BufferGeometry();
+        Object.entries(source.attributes).forEach(([name, attribute]) => {
+            geometry.setAttribute(name, attribute.instanced
+                ? new THREE.InstancedBufferAttribute(attribute.array, attribute.itemSize, attribute.normalized, attribute.meshPerAttribute)
+                : new THREE.BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized));
+        });
+        if (source.index) geometry.setIndex(new THREE.BufferAttribute(source.index, 1));
+        if (source.instanced) geometry.instanceCount = source.instanceCount;
+        return geometry;
+    }
+
+    function syncMaterial(source, uniforms) {
+        let material = materials.get(source.uuid);
+        if (source.vertexShader !== undefined) {
+            if (!material) {
+                material = new THREE.ShaderMaterial({ uniforms });
+                materials.set(source.uuid, material);
+            }
+            material.vertexShader = source.vertexShader;
+            material.fragmentShader = source.fragmentShader;
+            material.defines = source.defines;
+            material.transparent = source.transparent;
+            material.blending = source.blending;
+            material.depthWrite = source.depthWrite;
+            material.depthTest = source.depthTest;
+            material.side = source.side;
+            material.needsUpdate = true;
+        }
+        return material;
+    }
+
+    function syncTexture(source) {
+        let texture = textures.get(source.uuid);
+        if (source.data) {
+            if (!texture || texture.image.data.length !== source.data.length) {
+                if (texture) texture.dispose();
+                texture = new THREE.DataTexture(source.data, source.width, source.height, source.format, source.type);
+                textures.set(source.uuid, texture);
+            }
+            texture.image.data = source.data;
+            texture.minFilter = source.minFilter;
+            texture.magFilter = source.magFilter;
+            texture.needsUpdate = true;
+        }
+        return texture;
+    }
+
+    // Uniform objects are kept, so materials compiled against them stay valid
+    function syncUniforms(id, values, usedTextures) {
+        if (!uniformSets.has(id)) uniformSets.set(id, {});
+        const uniforms = uniformSets.get(id);
+        Object.entries(values).forEach(([name, value]) => {
+            if (!uniforms[name]) uniforms[name] = { value: null };
+            if (value && value.texture) {
+                usedTextures.add(value.texture.uuid);
+                uniforms[name].value = syncTexture(value.texture) || null;
+            } else {
+                uniforms[name].value = value;
+            }
+        });
+        return uniforms;
+    }
+
+    // Drop what the page no longer uses
+    function prune(map, used) {
+        map.forEach((item, uuid) => {
+            if (used.has(uuid)) return;
+            if (item.dispose) item.dispose();
+            map.delete(uuid);
+        });
+    }
+
+    function syncScene(message) {
+        const usedTextures = new Set();
+        const usedGeometries = new Set();
+        const usedMaterials = new Set();
+        const usedMeshes = new Set();
+
+        message.meshes.forEach((source) => {
+            const uniforms = syncUniforms(source.uniforms, message.uniforms[source.uniforms], usedTextures);
+
+            if (source.geometry.attributes) {
+                if (geometries.has(source.geometry.uuid)) geometries.get(source.geometry.uuid).dispose();
+                geometries.set(source.geometry.uuid, buildGeometry(source.geometry));
+            }
+            const geometry = geometries.get(source.geometry.uuid);
+            const material = syncMaterial(source.material, uniforms);
+
+            let mesh = meshes.get(source.uuid);
+            if (!mesh) {
+                mesh = new THREE.Mesh(geometry, material);
+                mesh.matrixAutoUpdate = false;
+                meshes.set(source.uuid, mesh);
+                scene.add(mesh);
+            }
+            mesh.geometry = geometry;
+            mesh.material = material;
+            mesh.visible = source.visible;
+            mesh.frustumCulled = source.frustumCulled;
+            mesh.renderOrder = source.renderOrder;
+            mesh.matrix.fromArray(source.matrix);
+            mesh.matrixWorldNeedsUpdate = true;
+
+            usedGeometries.add(source.geometry.uuid);
+            usedMaterials.add(source.material.uuid);
+            usedMeshes.add(source.uuid);
+        });
+
+        meshes.forEach((mesh, uuid) => {
+            if (!usedMeshes.has(uuid)) scene.remove(mesh);
+        });
+        prune(meshes, usedMeshes);
+        prune(geometries, usedGeometries);
+        prune(materials, usedMaterials);
+        prune(textures, usedTextures);
+
+        camera.position.fromArray(message.camera.position);
+        camera.quaternion.fromArray(message.camera.quaternion);
+        camera.projectionMatrix.fromArray(message.camera.projectionMatrix);
+        camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+    }
+
+    // ============================================
+    // MESSAGES
+    // ============================================
+
+    function handleMessage(message) {
+        switch (message.type) {
+            case 'resize':
+                renderer.setSize(message.width, message.height, message.pixelRatio);
+                break;
+            case 'quality':
+                renderer.setQuality(message.quality);
+                break;
+            case 'clearhistory':
+                renderer.clearHistory();
+                break;
+            case 'frame':
+                syncScene(message);
+                scene.background.fromArray(message.frame.background);
+                renderer.render({ ...message.frame, background: scene.background });
+                self.postMessage({ type: 'rendered' });
+                break;
+            default:
+                break;
+        }
+    }
+
+    return { handleMessage };
+}
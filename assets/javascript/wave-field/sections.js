@@ -0,0 +1,92 @@
+// Section tracking
+// Measures the real document position and height of every section element so
+// section detection follows the layout instead of assuming each section is
+// exactly one viewport tall. ResizeObserver catches sections (or the page)
+// reflowing; IntersectionObserver re-measures as sections come into view,
+// which picks up late layout shifts such as web fonts or images loading.
+
+export function createSectionTracker(elements, { onChange } = {}) {
+    let sectionElements = Array.from(elements || []);
+    let bounds = [];
+
+    function measure() {
+        const scrollTop = window.scrollY;
+        bounds = sectionElements.map((element) => {
+            const rect = element.getBoundingClientRect();
+            return {
+                top: rect.top + scrollTop,
+                height: Math.max(1, rect.height)
+            };
+        });
+        if (onChange) onChange(bounds);
+    }
+
+    let resizeObserver = null;
+    let intersectionObserver = null;
+
+    function observe() {
+        if (typeof ResizeObserver !== 'undefined') {
+            resizeObserver = new ResizeObserver(measure);
+            resizeObserver.observe(document.documentElement);
+            sectionElements.forEach((element) => resizeObserver.observe(element));
+        }
+        if (typeof IntersectionObserver !== 'undefined') {
+            intersectionObserver = new IntersectionObserver(measure);
+            sectionElements.forEach((element) => intersectionObserver.observe(element));
+        }
+    }
+
+    function unobserve() {
+        if (resizeObserver) resizeObserver.disconnect();
+        if (intersectionObserver) intersectionObserver.disconnect();
+        resizeObserver = null;
+        intersectionObserver = null;
+    }
+
+    // Bounds of section `index`; sections without an element on the page
+    // fall back to stacking one viewport-height slot after the last measured one
+    function getBounds(index) {
+        if (bounds[index]) return bounds[index];
+        const viewportHeight = window.innerHeight;
+        const last = bounds[bounds.length - 1];
+        const start = last ? last.top + last.height : 0;
+        const offset = index - bounds.length;
+        return { top: start + offset * viewportHeight, height: viewportHeight };
+    }
+
+    // Section containing `scrollY` and the progress (0.0 to 1.0) through it
+    function getState(scrollY, sectionCount) {
+        let index = 0;
+        for (let i = 1; i < sectionCount; i++) {
+            if (getBounds(i).top <= scrollY) index = i;
+        }
+
+        const { top, height } = getBounds(index);
+        const progress = Math.min(Math.max((scrollY - top) / height, 0.0), 1.0);
+        return { index, progress };
+    }
+
+    function setElements(nextElements) {
+        unobserve();
+        sectionElements = Array.from(nextElements || []);
+        measure();
+        observe();
+    }
+
+    function dispose() {
+        unobserve();
+        sectionElements = [];
+        bounds = [];
+    }
+
+    measure();
+    observe();
+
+    return {
+        measure,
+        getBounds,
+        getState,
+        setElements,
+        dispose
+    };
+}
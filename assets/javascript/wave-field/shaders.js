@@ -0,0 +1,773 @@
+// Wave band shaders
+// Ribbon displacement (vertex) and palette light gradient (fragment)
+
+export const vertexShader = `
+    // Every band is one instance of the same ribbon; its parameters live in
+    // the band table texture, see bands.js
+    #define MAX_SECTIONS 16
+    #define BAND_TABLE_TEXELS 3.0
+    #define RIBBON_WIDTH 50.0
+    
+    attribute float aBand;
+    
+    // Light streaks share this shader, drawn as short ribbons that travel
+    // along their band, see streaks.js
+    #ifdef STREAKS
+    attribute vec4 aStreak; // offset, speed (band lengths per second), length (band lengths), trail
+    attribute vec2 aStreakGlow; // intensity, width in line widths
+    varying float vTrail;
+    #endif
+    
+    uniform sampler2D uBandTable;
+    uniform vec2 uBandTableSize;
+    uniform float uTime;
+    uniform float uNoiseScale;
+    uniform float uNoiseStrength;
+    
+    // Global multipliers on the per-band parameters
+    uniform float uSpeedScale;
+    uniform float uAmplitudeScale;
+    uniform float uFrequencyScale;
+    uniform float uOpacityScale;
+    
+    // Section blending: bands blend from their own parameters towards the
+    // next section's while uSectionBlend runs from 0.0 to 1.0
+    uniform float uSection;
+    uniform float uSectionCount;
+    uniform float uSectionBlend;
+    uniform float uSectionVisibility[MAX_SECTIONS];
+    uniform float uSectionBandLimit[MAX_SECTIONS]; // Bands drawn per section (quality)
+    
+    // Line thickness in CSS pixels, independent of camera and viewport
+    uniform float uLineWidth;
+    uniform vec2 uResolution;
+    
+    // Pointer bending and click/tap ripples, see pointer.js
+    #define MAX_POINTERS 4
+    #define MAX_RIPPLES 8
+    uniform vec3 uPointers[MAX_POINTERS]; // xy = world position on z = 0, z = presence
+    uniform float uPointerRadius;
+    uniform float uPointerStrength;
+    uniform float uPointerFalloff;
+    uniform vec4 uRipples[MAX_RIPPLES]; // xy = origin, z = start time, w = amplitude
+    uniform float uRippleSpeed;
+    uniform float uRippleWidth;
+    uniform float uRippleWavelength;
+    uniform float uRippleDecay;
+    uniform float uClock; // Unscaled time in seconds, for ripple ages
+    
+    // Band under the mouse, see hit-test.js
+    uniform float uHighlightBand;
+    uniform float uHighlight;
+    
+    // Screen rectangles kept clear for copy, see avoid.js
+    #define MAX_AVOID_ZONES 8
+    uniform vec4 uAvoidRects[MAX_AVOID_ZONES]; // left, top, right, bottom in CSS pixels
+    uniform vec4 uAvoidModes[MAX_AVOID_ZONES]; // dim, push, no-bloom, feather (CSS pixels)
+    uniform int uAvoidCount;
+    
+    // Depth of field, see camera.js
+    uniform float uFocusDistance;
+    uniform float uFocusRange;
+    uniform float uDepthFade;
+    uniform float uDepthBlur;
+    
+    // Finale shape the bands converge on, see morph.js
+    #define MORPH_SAMPLES 256.0
+    #define MAX_MORPH_CURVES 16.0
+    uniform float uMorph;
+    uniform float uMorphStagger;
+    uniform sampler2D uMorphCurves; // xy = unit-box contour point, w = closed
+    uniform float uMorphCurveCount;
+    uniform float uMorphSize;
+    uniform vec3 uMorphPosition;
+    uniform float uMorphSpread;
+    
+    // Numeric series shaping the bands, see data.js
+    #define DATA_SAMPLES 128.0
+    uniform sampler2D uBandData; // One row per band: r = previous value, g = current value
+    uniform float uBandDataRows;
+    uniform vec4 uDataSections[MAX_SECTIONS]; // weight, blend to current, scale, span
+    
+    varying vec2 vUv;
+    varying float vProgress;
+    varying float vDistanceFromCenter;
+    varying float vOpacity;
+    varying float vColorIntensity;
+    varying float vVisibility;
+    varying float vHighlight;
+    varying vec2 vScreen; // CSS pixels, y down
+    varying float vFocus; // Brightness left after depth fade and blur
+    
+    struct BandParams {
+        float speed;
+        float amplitude;
+        float frequency;
+        float phase;
+        float verticalOffset;
+        float direction; // 0.0 = horizontal, 1.0 = diagonal-right, 2.0 = diagonal-left
+        float curveType; // 0.0 = gentle, 1.0 = moderate, 2.0 = strong
+        float opacity;
+        float colorIntensity;
+        float zDepth;
+        float section;
+        float sectionLine;
+    };
+    
+    vec4 readBandTexel(float band, float row, float texel) {
+        vec2 uv = vec2(
+            (band * BAND_TABLE_TEXELS + texel + 0.5) / uBandTableSize.x,
+            (row + 0.5) / uBandTableSize.y
+        );
+        return texture2D(uBandTable, uv);
+    }
+    
+    // Row 0 holds each band's own parameters, row s + 1 the parameters it
+    // takes on when blending into section s
+    BandParams readBand(float band, float row) {
+        vec4 a = readBandTexel(band, row, 0.0);
+        vec4 b = readBandTexel(band, row, 1.0);
+        vec4 c = readBandTexel(band, row, 2.0);
+        return BandParams(a.x, a.y, a.z, a.w, b.x, b.y, b.z, b.w, c.x, c.y, c.z, c.w);
+    }
+    
+    // Enhanced noise functions for more organic motion
+    float hash(float n) {
+        return fract(sin(n) * 43758.5453);
+    }
+    
+    float noise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
+        float n = i.x + i.y * 57.0;
+        return mix(
+            mix(hash(n + 0.0), hash(n + 1.0), f.x),
+            mix(hash(n + 57.0), hash(n + 58.0), f.x),
+            f.y
+        );
+    }
+    
+    // Octave count is set per quality tier, see quality.js
+    #ifndef FBM_OCTAVES
+    #define FBM_OCTAVES 4
+    #endif
+    
+    float fbm(vec2 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < FBM_OCTAVES; i++) {
+            value += amplitude * noise(p);
+            p *= 2.0;
+            amplitude *= 0.5;
+        }
+        return value;
+    }
+    
+    // Bands bend away from nearby pointers
+    float pointerDisplacement(vec2 worldPos) {
+        float displacement = 0.0;
+        for (int i = 0; i < MAX_POINTERS; i++) {
+            vec3 pointer = uPointers[i];
+            if (pointer.z < 0.001) continue;
+            vec2 delta = worldPos - pointer.xy;
+            float influence = pow(1.0 - smoothstep(0.0, uPointerRadius, length(delta)), uPointerFalloff);
+            // Smooth sign so bands passing right through the pointer split gently
+            float side = delta.y / (abs(delta.y) + 0.15);
+            displacement += side * influence * uPointerStrength * pointer.z;
+        }
+        return displacement;
+    }
+    
+    // Ripple fronts travelling outward from click/tap points
+    float rippleDisplacement(vec2 worldPos) {
+        float displacement = 0.0;
+        for (int i = 0; i < MAX_RIPPLES; i++) {
+            vec4 ripple = uRipples[i];
+            float age = uClock - ripple.z;
+            if (ripple.w == 0.0 || age < 0.0) continue;
+            float offset = length(worldPos - ripple.xy) - age * uRippleSpeed;
+            float front = exp(-(offset * offset) / (uRippleWidth * uRippleWidth));
+            displacement += sin(offset * 6.28318 / uRippleWavelength) * front * ripple.w * exp(-age * uRippleDecay);
+        }
+        return displacement;
+    }
+    
+    // Bands above and below an avoid zone bend away from it, in screen space
+    float avoidPush(vec2 screen) {
+        float offset = 0.0;
+        for (int i = 0; i < MAX_AVOID_ZONES; i++) {
+            if (i >= uAvoidCount) break;
+            vec4 rect = uAvoidRects[i];
+            vec4 mode = uAvoidModes[i];
+            if (mode.y <= 0.0) continue;
+            float centre = (rect.y + rect.w) * 0.5;
+            float halfHeight = (rect.w - rect.y) * 0.5;
+            float dy = screen.y - centre;
+            float side = dy / (abs(dy) + 4.0);
+            float outsideX = max(max(rect.x - screen.x, screen.x - rect.z), 0.0);
+            float horizontal = 1.0 - smoothstep(0.0, max(mode.w, 1.0), outsideX);
+            offset += side * horizontal * max(halfHeight + mode.w - abs(dy), 0.0) * mode.y;
+        }
+        return offset;
+    }
+    
+    // How far the band is on its way to the finale shape; the section's lines
+    // start one after another across the stagger
+    float getMorphAmount(float sectionLine, float bandLimit) {
+        if (uMorph <= 0.0 || uMorphCurveCount < 0.5) return 0.0;
+        float order = min(sectionLine / max(bandLimit - 1.0, 1.0), 1.0);
+        float t = clamp((uMorph - order * uMorphStagger) / max(1.0 - uMorphStagger, 0.001), 0.0, 1.0);
+        return t * t * (3.0 - 2.0 * t);
+    }
+    
+    vec4 readMorphTexel(float curve, float index) {
+        return texture2D(uMorphCurves, vec2((index + 0.5) / MORPH_SAMPLES, (curve + 0.5) / MAX_MORPH_CURVES));
+    }
+    
+    // World position at t (0.0 to 1.0) along a contour, depth units in front of
+    // the shape's centre
+    vec3 sampleMorphCurve(float curve, float t, float depth) {
+        bool closed = readMorphTexel(curve, 0.0).w > 0.5;
+        float x = closed ? fract(t) * MORPH_SAMPLES : clamp(t, 0.0, 1.0) * (MORPH_SAMPLES - 1.0);
+        float i0 = floor(x);
+        float i1 = closed ? mod(i0 + 1.0, MORPH_SAMPLES) : min(i0 + 1.0, MORPH_SAMPLES - 1.0);
+        vec2 point = mix(readMorphTexel(curve, i0).xy, readMorphTexel(curve, i1).xy, x - i0);
+        return vec3(point * uMorphSize + uMorphPosition.xy, uMorphPosition.z + depth);
+    }
+    
+    vec2 toScreen(vec3 position) {
+        vec4 clip = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        return clip.xy / clip.w * 0.5 * uResolution;
+    }
+    
+    // Screen direction across the contour, on the upper side so it blends
+    // with the vertical extrusion of the waves
+    vec2 getMorphNormal(float curve, float t, float depth) {
+        float delta = 1.0 / MORPH_SAMPLES;
+        vec2 tangent = toScreen(sampleMorphCurve(curve, t + delta, depth)) - toScreen(sampleMorphCurve(curve, t - delta, depth));
+        vec2 normal = vec2(-tangent.y, tangent.x) / max(length(tangent), 0.0001);
+        return normal.y < 0.0 ? -normal : normal;
+    }
+    
+    // A band's data series at ribbon x, held at its ends outside the span
+    float readBandData(float band, float x, vec4 section) {
+        float t = clamp(x / section.w + 0.5, 0.0, 1.0) * (DATA_SAMPLES - 1.0);
+        float i0 = floor(t);
+        float i1 = min(i0 + 1.0, DATA_SAMPLES - 1.0);
+        float v = (band + 0.5) / uBandDataRows;
+        vec2 a = texture2D(uBandData, vec2((i0 + 0.5) / DATA_SAMPLES, v)).rg;
+        vec2 b = texture2D(uBandData, vec2((i1 + 0.5) / DATA_SAMPLES, v)).rg;
+        vec2 value = mix(a, b, t - i0);
+        return mix(value.x, value.y, section.y) * section.z;
+    }
+    
+    // Smooth thickness variation along curve
+    float getThicknessMultiplier(float progress) {
+        // Slightly thicker in the middle, tapered at ends
+        return 0.7 + 0.3 * sin(progress * 3.14159);
+    }
+    
+    void main() {
+        BandParams own = readBand(aBand, 0.0);
+        int sectionIndex = int(own.section + 0.5);
+        float visibility = uSectionVisibility[sectionIndex];
+        
+        // Collapse bands that are hidden or dropped by the quality tier
+        if (visibility < 0.001 || own.sectionLine >= uSectionBandLimit[sectionIndex]) {
+            gl_Position = vec4(0.0);
+            return;
+        }
+        
+        // Interpolate parameters towards the next section on the GPU
+        BandParams band = own;
+        if (uSectionBlend > 0.0 && uSection + 1.0 < uSectionCount) {
+            BandParams next = readBand(aBand, uSection + 2.0);
+            band.speed = mix(own.speed, next.speed, uSectionBlend);
+            band.amplitude = mix(own.amplitude, next.amplitude, uSectionBlend);
+            band.frequency = mix(own.frequency, next.frequency, uSectionBlend);
+            band.direction = mix(own.direction, next.direction, uSectionBlend);
+            band.curveType = mix(own.curveType, next.curveType, uSectionBlend);
+            band.opacity = mix(own.opacity, next.opacity, uSectionBlend * 0.5);
+        }
+        
+        float speed = band.speed * uSpeedScale;
+        float amplitude = band.amplitude * uAmplitudeScale;
+        float frequency = band.frequency * uFrequencyScale;
+        
+        // Progress along the band (0.0 to 1.0)
+        float along = uv.x;
+        float lineWidth = uLineWidth;
+        #ifdef STREAKS
+        // The head runs past the end of the band and comes round again, so
+        // the whole streak leaves before it reappears at the start
+        float head = fract(aStreak.x + uTime * aStreak.y) * (1.0 + aStreak.z);
+        along = head - (1.0 - uv.x) * aStreak.z;
+        vTrail = pow(uv.x, aStreak.w) * aStreakGlow.x * step(0.0, along) * step(along, 1.0);
+        along = clamp(along, 0.0, 1.0);
+        lineWidth *= aStreakGlow.y;
+        #endif
+        
+        vUv = vec2(along, uv.y);
+        vProgress = along; // Progress along wave length
+        vOpacity = band.opacity * uOpacityScale;
+        vColorIntensity = band.colorIntensity;
+        vVisibility = visibility;
+        vHighlight = abs(aBand - uHighlightBand) < 0.5 ? uHighlight : 0.0;
+        
+        // Centre line of the ribbon; thickness is added in screen space below
+        vec3 pos = vec3((along - 0.5) * RIBBON_WIDTH, 0.0, band.zDepth);
+        
+        // Calculate curve strength multiplier based on curve type
+        float curveStrengthMult = 1.0 + band.curveType * 0.5; // Stronger curves for higher types
+        
+        // Base wave phase calculation
+        float wavePhase = frequency * pos.x + band.phase + mod(uTime * speed, 6.28318);
+        float sineWave = sin(wavePhase) * amplitude * curveStrengthMult;
+        
+        // Secondary wave varies with curve type
+        float secondaryWave = sin(wavePhase * (1.5 + band.curveType * 0.2) + uTime * speed * 0.5) * amplitude * 0.3 * curveStrengthMult;
+        
+        // Enhanced noise modulation
+        vec2 noiseCoord = vec2(
+            pos.x * uNoiseScale + uTime * 0.06,
+            pos.y * uNoiseScale + uTime * 0.04
+        );
+        float noiseValue = fbm(noiseCoord) * uNoiseStrength * curveStrengthMult;
+        
+        // Apply vertical displacement
+        float verticalDisplacement = sineWave + secondaryWave + noiseValue;
+        
+        // Data series replace the wave, keeping the noise; they fade out
+        // while the band blends into the next section
+        vec4 dataSection = uDataSections[sectionIndex];
+        float dataWeight = dataSection.x * (1.0 - uSectionBlend * step(abs(own.section - uSection), 0.5));
+        if (dataWeight > 0.0) {
+            float dataValue = readBandData(aBand, pos.x, dataSection) + noiseValue;
+            verticalDisplacement = mix(verticalDisplacement, dataValue, dataWeight);
+        }
+        
+        // Apply directional transformation based on direction
+        pos.y += verticalDisplacement + band.verticalOffset;
+        if (band.direction >= 0.5 && band.direction < 1.5) {
+            // Diagonal right (Section 2) - slight x offset based on y displacement
+            pos.x += verticalDisplacement * 0.15;
+        } else if (band.direction >= 1.5) {
+            // Diagonal left (Section 3) - opposite x offset
+            pos.x -= verticalDisplacement * 0.15;
+        }
+        
+        // Apply thickness variation
+        float thicknessMult = getThicknessMultiplier(along);
+        pos.y *= thicknessMult;
+        
+        // Localized pointer interaction in world space
+        vec2 worldPos = (modelMatrix * vec4(pos, 1.0)).xy;
+        pos.y += pointerDisplacement(worldPos) + rippleDisplacement(worldPos);
+        
+        // Converge on the finale shape: line n follows contour n % count,
+        // lines sharing a contour are layered in depth
+        float bandLimit = uSectionBandLimit[sectionIndex];
+        float morph = getMorphAmount(own.sectionLine, bandLimit);
+        float morphCurve = 0.0;
+        float morphDepth = 0.0;
+        if (morph > 0.0) {
+            morphCurve = mod(own.sectionLine, uMorphCurveCount);
+            float layers = ceil(bandLimit / uMorphCurveCount);
+            morphDepth = (floor(own.sectionLine / uMorphCurveCount) - (layers - 1.0) * 0.5) * uMorphSpread;
+            pos = mix(pos, sampleMorphCurve(morphCurve, along, morphDepth), morph);
+        }
+        
+        // Distance from center for edge falloff
+        vDistanceFromCenter = abs(uv.y - 0.5) * 2.0;
+        
+        vec4 viewPosition = modelViewMatrix * vec4(pos, 1.0);
+        gl_Position = projectionMatrix * viewPosition;
+        
+        // Out-of-focus bands fade, and widen while spreading the same light
+        float defocus = smoothstep(0.0, uFocusRange, abs(-viewPosition.z - uFocusDistance));
+        float blurWidth = 1.0 + uDepthBlur * defocus;
+        vFocus = (1.0 - uDepthFade * defocus) / blurWidth;
+        
+        // Push the centre line away from avoid zones
+        vScreen = (gl_Position.xy / gl_Position.w * vec2(0.5, -0.5) + 0.5) * uResolution;
+        float push = avoidPush(vScreen);
+        vScreen.y += push;
+        gl_Position.y -= push * 2.0 / uResolution.y * gl_Position.w;
+        
+        // Extrude the ribbon by uLineWidth CSS pixels: vertically on the
+        // waves, across the contour on the finale shape
+        vec2 extrude = vec2(0.0, 1.0);
+        if (morph > 0.0) {
+            extrude = normalize(mix(extrude, getMorphNormal(morphCurve, along, morphDepth), morph));
+        }
+        gl_Position.xy += extrude * (uv.y - 0.5) * lineWidth * blurWidth * 2.0 / uResolution * gl_Position.w;
+    }
+`;
+
+export const fragmentShader = `
+    uniform float uTime;
+    uniform float uBloomCore; // Selective bloom: 1.0 draws only the band cores, see post.js
+    
+    varying vec2 vUv;
+    varying float vProgress;
+    varying float vDistanceFromCenter;
+    varying float vOpacity;
+    varying float vColorIntensity;
+    varying float vVisibility; // Section-based visibility multiplier
+    varying float vHighlight; // Hover highlight, 0.0 to 1.0
+    varying vec2 vScreen;
+    varying float vFocus; // Depth fade and blur, see camera.js
+    #ifdef STREAKS
+    varying float vTrail; // Streak brightness, fading towards the tail
+    #endif
+    
+    // Screen rectangles kept clear for copy, see avoid.js
+    #define MAX_AVOID_ZONES 8
+    uniform vec4 uAvoidRects[MAX_AVOID_ZONES]; // left, top, right, bottom in CSS pixels
+    uniform vec4 uAvoidModes[MAX_AVOID_ZONES]; // dim, push, no-bloom, feather (CSS pixels)
+    uniform int uAvoidCount;
+    
+    // 1.0 inside the rectangle, fading to 0.0 over the feather distance in pixels
+    float avoidMask(vec2 screen, vec4 rect, float feather) {
+        vec2 outside = max(max(rect.xy - screen, screen - rect.zw), 0.0);
+        return 1.0 - smoothstep(0.0, max(feather, 1.0), length(outside));
+    }
+    
+    float avoidDim(vec2 screen) {
+        float dim = 0.0;
+        for (int i = 0; i < MAX_AVOID_ZONES; i++) {
+            if (i >= uAvoidCount) break;
+            vec4 mode = uAvoidModes[i];
+            if (mode.x <= 0.0) continue;
+            dim = max(dim, avoidMask(screen, uAvoidRects[i], mode.w) * mode.x);
+        }
+        return dim;
+    }
+    
+    // Palette gradient along the band, see palettes.js
+    #define MAX_PALETTE_STOPS 8
+    uniform vec3 uPaletteColors[MAX_PALETTE_STOPS];
+    uniform vec3 uPaletteStops[MAX_PALETTE_STOPS]; // Blend start, end and amount per stop
+    uniform int uPaletteCount;
+    uniform vec3 uNextPaletteColors[MAX_PALETTE_STOPS];
+    uniform vec3 uNextPaletteStops[MAX_PALETTE_STOPS];
+    uniform int uNextPaletteCount;
+    uniform float uPaletteMix; // Crossfade into the next section's palette
+    
+    // Each stop blends in smoothly over its range, by its amount
+    vec3 samplePalette(vec3 colors[MAX_PALETTE_STOPS], vec3 stops[MAX_PALETTE_STOPS], int count, float t) {
+        vec3 color = colors[0];
+        for (int i = 1; i < MAX_PALETTE_STOPS; i++) {
+            if (i >= count) break;
+            color = mix(color, colors[i], smoothstep(stops[i].x, stops[i].y, t) * stops[i].z);
+        }
+        return color;
+    }
+    
+    vec3 smoothGradient(float t) {
+        vec3 color = samplePalette(uPaletteColors, uPaletteStops, uPaletteCount, t);
+        if (uPaletteMix > 0.0) {
+            vec3 nextColor = samplePalette(uNextPaletteColors, uNextPaletteStops, uNextPaletteCount, t);
+            color = mix(color, nextColor, uPaletteMix);
+        }
+        return color;
+    }
+    
+    void main() {
+        #ifdef STREAKS
+        // A bright, round-edged core in the band's colour; the bloom does the rest
+        vec3 streakColor = smoothGradient(vProgress) * vColorIntensity;
+        float streakAlpha = (1.0 - smoothstep(0.0, 1.0, vDistanceFromCenter)) * vTrail;
+        streakAlpha *= vVisibility * vFocus * (1.0 - avoidDim(vScreen));
+        gl_FragColor = vec4(streakColor * streakAlpha, streakAlpha);
+        return;
+        #endif
+        
+        // Smooth gradient along wave length
+        vec3 color = smoothGradient(vProgress) * vColorIntensity;
+        
+        // Precise 2px core with enhanced glow
+        // Calculate distance from center line (0.0 = center, 1.0 = edge)
+        float distanceFromCenter = vDistanceFromCenter;
+        
+        // Precise 2px core (very sharp falloff in center)
+        float coreWidth = 0.01; // ~2px in normalized UV space
+        float coreMask = 1.0 - smoothstep(0.0, coreWidth, distanceFromCenter);
+        
+        // Soft glow around core (for bloom effect)
+        float glowWidth = 0.15;
+        float glowMask = 1.0 - smoothstep(coreWidth, glowWidth, distanceFromCenter);
+        
+        // Combine core and glow for 2px line with bloom
+        float lineMask = max(coreMask, glowMask * (0.3 + 0.3 * vHighlight));
+        
+        // Enhanced internal light diffusion with stronger center glow
+        float centerIntensity = exp(-distanceFromCenter * 1.5);
+        float diffusion = mix(0.4, 1.0, centerIntensity);
+        
+        // Additional soft glow layer
+        float softGlow = exp(-distanceFromCenter * 0.8);
+        
+        // Slower time-based intensity variation for more graceful pulsing
+        float timeIntensity = 0.88 + 0.12 * sin(uTime * 0.3);
+        
+        // Final alpha with 2px core and enhanced layering
+        float alpha = lineMask * diffusion * timeIntensity * vOpacity;
+        alpha = alpha + (softGlow * (0.2 + 0.3 * vHighlight) * vOpacity);
+        
+        // Softer glow curve for more diffused appearance
+        alpha = pow(alpha, 0.75);
+        
+        // Apply section-based visibility and depth of field, then fade out
+        // behind copy
+        alpha *= vVisibility * vFocus;
+        alpha *= 1.0 - avoidDim(vScreen);
+        
+        // Enhance color brightness in center, more on the hovered band
+        color = color * (1.0 + centerIntensity * (0.3 + 0.5 * vHighlight));
+        
+        // The selective bloom source keeps the cores and drops the soft glow
+        float bloomCore = 1.0 - smoothstep(0.0, glowWidth * 0.5, distanceFromCenter);
+        alpha *= mix(1.0, bloomCore, uBloomCore);
+        
+        gl_FragColor = vec4(color * alpha, alpha);
+    }
+`;
+
+// Post-processing pass after the bloom: mixes the frame as it was before the
+// bloom back in over no-bloom avoid zones, see avoid.js
+export const bloomMaskVertexShader = `
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+export const bloomMaskFragmentShader = `
+    #define MAX_AVOID_ZONES 8
+    
+    uniform sampler2D tDiffuse; // With bloom
+    uniform sampler2D tBase;    // Before the bloom pass
+    uniform vec2 uResolution;   // CSS pixels
+    uniform vec4 uRects[MAX_AVOID_ZONES]; // left, top, right, bottom in CSS pixels
+    uniform float uFeathers[MAX_AVOID_ZONES];
+    uniform float uStrengths[MAX_AVOID_ZONES];
+    uniform int uCount;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        vec2 screen = vec2(vUv.x, 1.0 - vUv.y) * uResolution;
+        float mask = 0.0;
+        for (int i = 0; i < MAX_AVOID_ZONES; i++) {
+            if (i >= uCount) break;
+            vec4 rect = uRects[i];
+            vec2 outside = max(max(rect.xy - screen, screen - rect.zw), 0.0);
+            float inside = 1.0 - smoothstep(0.0, max(uFeathers[i], 1.0), length(outside));
+            mask = max(mask, inside * uStrengths[i]);
+        }
+        gl_FragColor = mix(texture2D(tDiffuse, vUv), texture2D(tBase, vUv), mask);
+        
+        // Last pass when no post effect is on
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// ============================================
+// POST EFFECTS
+// ============================================
+
+// Every effect fades in with uAmount (0.0 = untouched), so sections can
+// crossfade their post chains; see post.js. They share the bloom mask vertex
+// shader. The pass drawing to the screen applies the renderer's tone mapping
+// and output colour space, as the bloom pass does when it comes last.
+
+// Selective bloom source: the whole frame blending into the band cores alone
+export const bloomSourceFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tCores;
+    uniform float uSelective;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        gl_FragColor = mix(texture2D(tDiffuse, vUv), texture2D(tCores, vUv), uSelective);
+    }
+`;
+
+// Selective bloom: the frame plus the bloom of the blended source
+export const coreBloomFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tBloom;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        gl_FragColor = texture2D(tDiffuse, vUv) + texture2D(tBloom, vUv);
+        
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+export const grainFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform vec2 uResolution; // Drawing buffer pixels
+    uniform float uTime;
+    uniform float uAmount;
+    uniform float uIntensity;
+    uniform float uSize;      // Grain size in pixels
+    
+    varying vec2 vUv;
+    
+    float hash(vec3 p) {
+        return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+    }
+    
+    void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        vec2 cell = floor(vUv * uResolution / max(uSize, 1.0));
+        float grain = hash(vec3(cell, floor(uTime * 24.0))) - 0.5;
+        color.rgb += grain * uIntensity * uAmount;
+        gl_FragColor = color;
+        
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+export const vignetteFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform float uAmount;
+    uniform float uOffset;
+    uniform float uDarkness;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        vec2 uv = (vUv - 0.5) * uOffset;
+        vec3 vignetted = mix(color.rgb, vec3(1.0 - uDarkness), dot(uv, uv));
+        gl_FragColor = vec4(mix(color.rgb, vignetted, uAmount), color.a);
+        
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Red and blue pulled apart towards the edges of the frame
+export const chromaticAberrationFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform float uAmount;
+    uniform float uOffset;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        vec2 shift = (vUv - 0.5) * uOffset * uAmount;
+        vec4 color = texture2D(tDiffuse, vUv);
+        color.r = texture2D(tDiffuse, vUv + shift).r;
+        color.b = texture2D(tDiffuse, vUv - shift).b;
+        gl_FragColor = color;
+        
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Smudges on the lens lit up by the bloom; without a dirt texture they are
+// made up from noise
+export const lensDirtFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tBloom;
+    uniform sampler2D tDirt;
+    uniform bool uHasDirt;
+    uniform vec2 uResolution;
+    uniform float uAmount;
+    uniform float uIntensity;
+    uniform float uScale;
+    
+    varying vec2 vUv;
+    
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+    
+    float noise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+            mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x),
+            f.y
+        );
+    }
+    
+    float smudges(vec2 uv) {
+        vec2 p = uv * vec2(uResolution.x / uResolution.y, 1.0) * 4.0 * uScale;
+        float blotches = smoothstep(0.55, 0.85, noise(p) * 0.65 + noise(p * 2.3 + 17.0) * 0.35);
+        float specks = smoothstep(0.9, 1.0, noise(p * 9.0 + 41.0));
+        return blotches * 0.7 + specks * 0.5;
+    }
+    
+    void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        vec3 dirt = uHasDirt ? texture2D(tDirt, vUv * uScale).rgb : vec3(smudges(vUv));
+        color.rgb += dirt * texture2D(tBloom, vUv).rgb * uIntensity * uAmount;
+        gl_FragColor = color;
+        
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Colour grading through a 3D LUT (.cube), looked up on display-like values
+export const lutFragmentShader = `
+    precision highp sampler3D;
+    
+    uniform sampler2D tDiffuse;
+    uniform sampler3D tLut;
+    uniform float uLutSize;
+    uniform float uAmount;
+    uniform float uIntensity;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        vec3 display = pow(clamp(color.rgb, 0.0, 1.0), vec3(1.0 / 2.2));
+        
+        // Sample between the centres of the first and last texels
+        vec3 lookup = display * (1.0 - 1.0 / uLutSize) + 0.5 / uLutSize;
+        vec3 graded = pow(texture(tLut, lookup).rgb, vec3(2.2));
+        
+        // Keep what the clamp cut off above 1.0
+        graded += max(color.rgb - 1.0, 0.0);
+        color.rgb = mix(color.rgb, graded, uIntensity * uAmount);
+        gl_FragColor = color;
+        
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// Trails: the previous output fading out under the new frame
+export const afterimageFragmentShader = `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tOld;
+    uniform float uAmount;
+    uniform float uDamp;
+    
+    varying vec2 vUv;
+    
+    void main() {
+        vec4 texelNew = texture2D(tDiffuse, vUv);
+        vec4 texelOld = texture2D(tOld, vUv) * uDamp * uAmount;
+        gl_FragColor = max(texelNew, texelOld);
+    }
+`;
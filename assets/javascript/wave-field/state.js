@@ -0,0 +1,100 @@
+// Tuning state
+// The tunable part of the field's options (section presets, bloom, tone
+// mapping, noise, line width, palette, camera, depth of field, streaks, band
+// data shaping and post effects) as one plain object. It is exactly what
+// createWaveField() and setOptions() accept, so a state exported from the
+// debug panel can be saved as JSON and loaded at startup:
+//
+//   createWaveField(container, { state: 'assets/presets/launch.json' })
+//
+// The same object travels in the URL (#wave=<base64 JSON>) so a tuned look can
+// be shared as a link. Links from the debug panel keep the debug flag, and the
+// page only applies URL state with it.
+
+export const STATE_KEYS = [
+    'sections',
+    'palette',
+    'toneMappingExposure',
+    'bloom',
+    'noiseScale',
+    'noiseStrength',
+    'lineWidth',
+    'fov',
+    'cameraZ',
+    'camera',
+    'streaks',
+    'bandData',
+    'post'
+];
+
+const URL_PARAM = 'wave';
+const DEBUG_PARAM = 'debug';
+
+// Keep only the tunable keys
+export function pickState(source) {
+    const state = {};
+    STATE_KEYS.forEach((key) => {
+        if (source[key] !== undefined) state[key] = source[key];
+    });
+    return state;
+}
+
+export async function loadState(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`wave-field: could not load state from ${url} (${response.status})`);
+    }
+    return pickState(await response.json());
+}
+
+// ============================================
+// URL STATE
+// ============================================
+
+// Base64url of the UTF-8 JSON, safe in a hash or query string
+export function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(pickState(state)));
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeState(encoded) {
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        return pickState(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch (error) {
+        console.warn('wave-field: ignoring invalid state in the URL', error);
+        return null;
+    }
+}
+
+// Both ?key and #key work, so links survive servers that drop query strings
+function getUrlParams(location) {
+    return [
+        new URLSearchParams(location.search),
+        new URLSearchParams(location.hash.slice(1))
+    ];
+}
+
+export function readUrlState(location = window.location) {
+    const params = getUrlParams(location).find((candidate) => candidate.has(URL_PARAM));
+    return params ? decodeState(params.get(URL_PARAM)) : null;
+}
+
+export function isDebugEnabled(location = window.location) {
+    return getUrlParams(location).some((params) => params.has(DEBUG_PARAM));
+}
+
+// Current page URL with the state in its hash, keeping the debug flag
+export function createStateUrl(state, location = window.location) {
+    const url = new URL(location.href);
+    if (url.searchParams.has(URL_PARAM)) url.searchParams.delete(URL_PARAM);
+    const hash = new URLSearchParams(url.hash.slice(1));
+    hash.set(URL_PARAM, encodeState(state));
+    url.hash = hash.toString();
+    return url.toString();
+}
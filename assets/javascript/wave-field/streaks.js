@@ -0,0 +1,148 @@
+// Light streaks
+// Bright streaks flowing along the bands, for the data-through-pipelines look.
+// An optional layer: nothing is drawn until the page turns the streaks option
+// on ({ streaks: { enabled: true } }) and a section opts in through the
+// "streaks" field of its preset, either `true` for the streaks option or its
+// own settings on top of it:
+//
+//   streaks: {
+//       density: 1.5,     // streaks per band
+//       length: 3,        // world units
+//       speed: 5,         // world units per second
+//       trail: 2,         // fade towards the tail, higher = shorter glow
+//       intensity: 1.6,   // brightness of the head; above 1.0 it blooms
+//       width: 1.5        // in line widths
+//   }
+//
+// Streaks are drawn by the band shaders (the STREAKS define) from one more
+// instanced ribbon, so they follow each band's displaced path, palette and
+// visibility exactly and go through the bloom with everything else.
+
+import * as THREE from 'three';
+import { RIBBON_WIDTH, createRibbonGeometry } from './bands.js';
+
+export const DEFAULT_STREAK_OPTIONS = {
+    enabled: false,
+    density: 1.5,
+    length: 3.0,
+    speed: 5.0,
+    trail: 2.0,
+    intensity: 1.6,
+    width: 1.5,
+    segments: 24    // ribbon segments per streak
+};
+
+// Speed varies by up to this share between streaks
+const SPEED_JITTER = 0.25;
+
+// Fixed pseudo-random values, so exports and reloads place the same streaks
+function hash(n) {
+    const x = Math.sin(n) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+// A section's streak settings from its preset field, null for none
+export function resolveStreaks(declared, options) {
+    if (!options.enabled || !declared) return null;
+    const streaks = declared === true ? { ...options } : { ...options, ...declared };
+    return streaks.density > 0 ? streaks : null;
+}
+
+// One entry per streak: the band it runs on and where along it it starts
+export function createStreaks(bands, sectionStreaks) {
+    const streaks = [];
+    bands.forEach((band) => {
+        const config = sectionStreaks[band.sectionIndex];
+        if (!config) return;
+
+        // Fractional densities give some bands one streak more than others
+        const count = Math.floor(config.density + hash(band.index * 7.13));
+        for (let i = 0; i < count; i++) {
+            const seed = band.index * 31.7 + i * 5.31;
+            streaks.push({
+                band: band.index,
+                offset: (i + hash(seed)) / count,
+                speed: (config.speed / RIBBON_WIDTH) * (1 + (hash(seed + 1.7) * 2 - 1) * SPEED_JITTER),
+                length: config.length / RIBBON_WIDTH,
+                trail: config.trail,
+                intensity: config.intensity,
+                width: config.width
+            });
+        }
+    });
+    return streaks;
+}
+
+// Where a streak's tail and head are along its band at `time`, as in the
+// vertex shader
+export function getStreakSpan(streak, time, out = {}) {
+    const cycle = streak.offset + time * streak.speed;
+    out.head = (cycle - Math.floor(cycle)) * (1 + streak.length);
+    out.tail = out.head - streak.length;
+    return out;
+}
+
+export function createStreakLayer({ uniforms, vertexShader, fragmentShader, octaves }) {
+    let streaks = [];
+
+    // Same uniforms as the bands, so streaks move with them
+    const material = new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        defines: {
+            STREAKS: '',
+            FBM_OCTAVES: octaves
+        },
+        uniforms,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+
+    function build(bands, sectionStreaks) {
+        streaks = createStreaks(bands, sectionStreaks);
+        mesh.geometry.dispose();
+        mesh.visible = streaks.length > 0;
+
+        const segments = Math.max(...sectionStreaks.map((config) => (config ? config.segments : 1)), 1);
+        const geometry = createRibbonGeometry(segments, streaks.length);
+        const bandIndices = new Float32Array(streaks.length);
+        const streakData = new Float32Array(streaks.length * 4);
+        const glowData = new Float32Array(streaks.length * 2);
+        streaks.forEach((streak, i) => {
+            bandIndices[i] = streak.band;
+            streakData.set([streak.offset, streak.speed, streak.length, streak.trail], i * 4);
+            glowData.set([streak.intensity, streak.width], i * 2);
+        });
+        geometry.setAttribute('aBand', new THREE.InstancedBufferAttribute(bandIndices, 1));
+        geometry.setAttribute('aStreak', new THREE.InstancedBufferAttribute(streakData, 4));
+        geometry.setAttribute('aStreakGlow', new THREE.InstancedBufferAttribute(glowData, 2));
+        mesh.geometry = geometry;
+    }
+
+    function setOctaves(value) {
+        material.defines.FBM_OCTAVES = value;
+        material.needsUpdate = true;
+    }
+
+    function dispose() {
+        mesh.geometry.dispose();
+        material.dispose();
+    }
+
+    return {
+        mesh,
+        material,
+        build,
+        setOctaves,
+        dispose,
+        get streaks() {
+            return streaks;
+        }
+    };
+}
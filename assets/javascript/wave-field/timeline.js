@@ -0,0 +1,148 @@
+// Scroll-driven timeline
+// Keyframes are placed on scroll progress, either through the whole page
+// (scope: 'page') or through one section (scope: <section index>). Each track
+// drives one target:
+//
+//   'wave.<uniform>'         any numeric uniform of the wave band ShaderMaterial,
+//                            e.g. uNoiseStrength, uLineWidth or the per-band
+//                            multipliers uSpeedScale / uAmplitudeScale /
+//                            uFrequencyScale / uOpacityScale
+//   'bloom.strength|radius|threshold|selective'
+//   'post.<effect>.<setting>' a post effect's numeric setting or its amount,
+//                            e.g. 'post.vignette.darkness', see post.js
+//   'camera.position.x|y|z', 'camera.lookAt.x|y|z', 'camera.fov',
+//   'camera.roll' (degrees), 'camera.focus'
+//                            on top of the section camera, see camera.js
+//   'exposure'               renderer tone mapping exposure
+//   'background'             scene background colour (keyframe values are colours)
+//
+//   {
+//       target: 'bloom.strength',
+//       scope: 1,
+//       ease: 'smooth',                  // default easing between keyframes
+//       blend: 'set',                    // 'set' | 'add' | 'multiply' against the base value
+//       velocity: 0.5,                   // added per viewport/second of scroll speed
+//       keyframes: [
+//           { at: 0.0, value: 3.5 },
+//           { at: 1.0, value: 5.0, ease: 'easeOut' }   // easing into this keyframe
+//       ]
+//   }
+//
+// A section's tracks hold their first value before the section and their last
+// value after it. The section-to-section band crossfade is configured here too.
+
+import * as THREE from 'three';
+import { getEasing } from './easing.js';
+
+const DEFAULT_CROSSFADE = {
+    start: 0.7,     // section progress where bands start blending into the next section
+    ease: 'smooth'
+};
+
+// Combine a track value with the value the engine would otherwise use
+export function applyBlend(base, { value, blend }) {
+    if (blend === 'add') return base + value;
+    if (blend === 'multiply') return base * value;
+    return value;
+}
+
+function normalizeTrack(track, scope) {
+    const keyframes = (track.keyframes || [])
+        .map((keyframe) => ({ ...keyframe, at: Math.min(Math.max(keyframe.at ?? 0, 0), 1) }))
+        .sort((a, b) => a.at - b.at);
+    const isColor = track.target === 'background';
+
+    return {
+        target: track.target,
+        scope: track.scope ?? scope ?? 'page',
+        ease: track.ease || 'linear',
+        blend: track.blend || 'set',
+        velocity: track.velocity || 0,
+        isColor,
+        keyframes: keyframes.map((keyframe) => ({
+            ...keyframe,
+            value: isColor ? new THREE.Color(keyframe.value) : keyframe.value
+        }))
+    };
+}
+
+export function createTimeline(definition = {}) {
+    let crossfade = { ...DEFAULT_CROSSFADE };
+    let tracks = [];
+
+    function setDefinition(nextDefinition = {}) {
+        crossfade = { ...DEFAULT_CROSSFADE, ...nextDefinition.crossfade };
+        tracks = (nextDefinition.tracks || [])
+            .map((track) => normalizeTrack(track))
+            .filter((track) => track.target && track.keyframes.length > 0);
+    }
+
+    // Tracks declared on a section element (data-wave-timeline) default to
+    // that section's scope
+    function addSectionTracks(sectionIndex, sectionTracks) {
+        sectionTracks
+            .map((track) => normalizeTrack(track, sectionIndex))
+            .filter((track) => track.target && track.keyframes.length > 0)
+            .forEach((track) => tracks.push(track));
+    }
+
+    function getTrackProgress(track, context) {
+        if (track.scope === 'page') return context.pageProgress;
+        if (context.sectionIndex > track.scope) return 1.0;
+        if (context.sectionIndex < track.scope) return 0.0;
+        return context.sectionProgress;
+    }
+
+    function sampleTrack(track, progress) {
+        const { keyframes } = track;
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        if (progress <= first.at) return first.value;
+        if (progress >= last.at) return last.value;
+
+        let next = 1;
+        while (keyframes[next].at < progress) next++;
+        const from = keyframes[next - 1];
+        const to = keyframes[next];
+        const span = to.at - from.at;
+        const t = getEasing(to.ease || track.ease)(span > 0 ? (progress - from.at) / span : 1);
+
+        if (track.isColor) {
+            return new THREE.Color().lerpColors(from.value, to.value, t);
+        }
+        return from.value + (to.value - from.value) * t;
+    }
+
+    // Evaluate every track for the current scroll context. Returns one
+    // { target, value, blend } entry per track, in declaration order, so later
+    // tracks on the same target apply on top of earlier ones.
+    function evaluate(context) {
+        return tracks.map((track) => {
+            let value = sampleTrack(track, getTrackProgress(track, context));
+            if (!track.isColor) {
+                value += Math.abs(context.velocity) * track.velocity;
+            }
+            return { target: track.target, value, blend: track.isColor ? 'set' : track.blend };
+        });
+    }
+
+    // Band crossfade factor (0.0 to 1.0) into the next section. A section can
+    // override the window through the "crossfade" field of its preset.
+    function getCrossfade(sectionProgress, override) {
+        const { start, ease } = { ...crossfade, ...override };
+        if (start >= 1.0 || sectionProgress <= start) return 0.0;
+        return getEasing(ease)((sectionProgress - start) / (1.0 - start));
+    }
+
+    setDefinition(definition);
+
+    return {
+        setDefinition,
+        addSectionTracks,
+        evaluate,
+        getCrossfade,
+        get tracks() {
+            return tracks;
+        }
+    };
+}
@@ -0,0 +1,306 @@
+// WebGL renderer
+// The regular render path: the three.js renderer and the bloom composer. Both
+// renderers take the same frame state (background, exposure, bloom, bloom
+// mask, post chain) from the field, see canvas-renderer.js for the fallback.
+// The screen effects after the bloom and selective bloom come from post.js.
+//
+// A lost context stops drawing until the browser restores it; the composer is
+// then rebuilt here and onContextRestored lets the field re-upload its own GPU
+// resources.
+//
+// The render worker passes in its OffscreenCanvas, see worker-renderer.js.
+//
+// With `shared`, fields draw through one three.js renderer, so a page with
+// several fields holds one WebGL context and compiles the band shaders once.
+// Each field keeps its own composer and copies its frame into a 2D canvas.
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { SavePass } from 'three/addons/postprocessing/SavePass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { bloomMaskFragmentShader, bloomMaskVertexShader } from './shaders.js';
+import { MAX_AVOID_ZONES } from './avoid.js';
+import { createPostChain } from './post.js';
+
+// Probe for a WebGL context before handing a canvas to three.js, which
+// would otherwise throw halfway through setting up
+export function isWebGLAvailable() {
+    try {
+        const canvas = document.createElement('canvas');
+        return Boolean(
+            window.WebGLRenderingContext
+            && (canvas.getContext('webgl2') || canvas.getContext('webgl'))
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+function createThreeRenderer(canvas) {
+    const renderer = new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        alpha: true,
+        powerPreference: 'high-performance'
+    });
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
+    return renderer;
+}
+
+// ============================================
+// SHARED CONTEXT
+// ============================================
+
+// The renderer behind every shared field, with its drawing buffer size in
+// device pixels and the number of fields using it
+let sharedContext = null;
+
+function acquireSharedRenderer() {
+    if (!sharedContext) {
+        sharedContext = { renderer: createThreeRenderer(), width: 1, height: 1, users: 0 };
+    }
+    sharedContext.users++;
+    return sharedContext.renderer;
+}
+
+function releaseSharedRenderer() {
+    sharedContext.users--;
+    if (sharedContext.users > 0) return;
+    sharedContext.renderer.dispose();
+    sharedContext.renderer.forceContextLoss();
+    sharedContext = null;
+}
+
+// The drawing buffer only grows, as every resize reallocates it; fields
+// draw into its bottom-left corner
+function fitSharedRenderer(width, height) {
+    if (width <= sharedContext.width && height <= sharedContext.height) return;
+    sharedContext.width = Math.max(width, sharedContext.width);
+    sharedContext.height = Math.max(height, sharedContext.height);
+    sharedContext.renderer.setSize(sharedContext.width, sharedContext.height, false);
+}
+
+// ============================================
+// WEBGL RENDERER
+// ============================================
+
+export function createWebGLRenderer({ scene, camera, canvas, shared = false, onContextLost, onContextRestored }) {
+    // Workers have no document to probe with; three.js throws there instead
+    if (!canvas && !(shared && sharedContext) && !isWebGLAvailable()) {
+        throw new Error('wave-field: WebGL is not available');
+    }
+
+    const renderer = shared ? acquireSharedRenderer() : createThreeRenderer(canvas);
+
+    // A shared field's own canvas, which each frame is copied into
+    const output = shared ? document.createElement('canvas') : null;
+    const outputContext = output ? output.getContext('2d') : null;
+
+    let width = 1;
+    let height = 1;
+    let pixelRatio = 1;
+    let bloomScale = 1;
+    let contextLost = false;
+
+    // ============================================
+    // POST-PROCESSING PIPELINE
+    // ============================================
+
+    let composer = null;
+    let bloomPass = null;
+    let savePass = null;
+    let maskPass = null;
+    let postChain = null;
+
+    function buildComposer() {
+        composer = new EffectComposer(renderer);
+        composer.addPass(new RenderPass(scene, camera));
+
+        // Keeps the frame before bloom for no-bloom avoid zones; both mask
+        // passes only run while such a zone is on screen
+        savePass = new SavePass();
+        composer.addPass(savePass);
+
+        bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), 1, 0, 0);
+        composer.addPass(bloomPass);
+
+        // Stands in for the bloom pass while the bloom is selective
+        postChain = createPostChain({ renderer, composer, scene, camera, bloomPass });
+        composer.addPass(postChain.corePass);
+
+        maskPass = new ShaderPass({
+            uniforms: {
+                tDiffuse: { value: null },
+                tBase: { value: null },
+                uResolution: { value: new THREE.Vector2(1, 1) },
+                uRects: { value: Array.from({ length: MAX_AVOID_ZONES }, () => new THREE.Vector4()) },
+                uFeathers: { value: new Array(MAX_AVOID_ZONES).fill(0) },
+                uStrengths: { value: new Array(MAX_AVOID_ZONES).fill(0) },
+                uCount: { value: 0 }
+            },
+            vertexShader: bloomMaskVertexShader,
+            fragmentShader: bloomMaskFragmentShader
+        });
+        maskPass.uniforms.tBase.value = savePass.renderTarget.texture;
+        composer.addPass(maskPass);
+
+        // Off until a frame's post chain turns them on
+        postChain.passes.forEach((pass) => composer.addPass(pass));
+
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(width, height);
+        sizeBloom();
+    }
+
+    function disposeComposer() {
+        savePass.dispose();
+        bloomPass.dispose();
+        maskPass.dispose();
+        postChain.dispose();
+        composer.dispose();
+    }
+
+    function applyBloomMask(mask) {
+        const masked = Boolean(mask && mask.count > 0);
+        savePass.enabled = masked;
+        maskPass.enabled = masked;
+        if (!masked) return;
+
+        const { uniforms } = maskPass;
+        uniforms.uResolution.value.set(width, height);
+        uniforms.uCount.value = mask.count;
+        for (let i = 0; i < mask.count; i++) {
+            uniforms.uRects.value[i].copy(mask.rects[i]);
+            uniforms.uFeathers.value[i] = mask.feathers[i];
+            uniforms.uStrengths.value[i] = mask.strengths[i];
+        }
+    }
+
+    // The composer sizes every pass to the full drawing buffer; the bloom
+    // chain runs at a fraction of that on lower quality tiers
+    function sizeBloom() {
+        bloomPass.setSize(
+            Math.max(1, Math.round(width * pixelRatio * bloomScale)),
+            Math.max(1, Math.round(height * pixelRatio * bloomScale))
+        );
+    }
+
+    buildComposer();
+
+    // ============================================
+    // CONTEXT LOSS
+    // ============================================
+
+    // preventDefault() tells the browser we want the context back
+    function handleContextLost(event) {
+        event.preventDefault();
+        contextLost = true;
+        if (onContextLost) onContextLost();
+    }
+
+    // Render targets and bloom materials belong to the old context
+    function handleContextRestored() {
+        contextLost = false;
+        disposeComposer();
+        buildComposer();
+        if (onContextRestored) onContextRestored();
+    }
+
+    renderer.domElement.addEventListener('webglcontextlost', handleContextLost);
+    renderer.domElement.addEventListener('webglcontextrestored', handleContextRestored);
+
+    // ============================================
+    // RENDERER INTERFACE
+    // ============================================
+
+    // `updateStyle` false sizes the drawing buffer only, so an export does
+    // not resize the canvas on the page
+    function setSize(nextWidth, nextHeight, nextPixelRatio, updateStyle = true) {
+        width = nextWidth;
+        height = nextHeight;
+        pixelRatio = nextPixelRatio;
+        if (output) {
+            output.width = Math.max(1, Math.round(width * pixelRatio));
+            output.height = Math.max(1, Math.round(height * pixelRatio));
+            if (updateStyle) {
+                output.style.width = `${width}px`;
+                output.style.height = `${height}px`;
+            }
+        } else {
+            renderer.setPixelRatio(pixelRatio);
+            // An OffscreenCanvas has no style; its page element is sized there
+            renderer.setSize(width, height, !canvas && updateStyle);
+        }
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(width, height);
+        sizeBloom();
+    }
+
+    function setQuality(quality) {
+        bloomScale = quality.bloomScale;
+        sizeBloom();
+    }
+
+    function render(frame) {
+        if (contextLost) return;
+        bloomPass.strength = frame.bloom.strength;
+        bloomPass.radius = frame.bloom.radius;
+        bloomPass.threshold = frame.bloom.threshold;
+        renderer.toneMappingExposure = frame.exposure;
+        applyBloomMask(frame.bloomMask);
+        postChain.apply(frame.post, frame.bloom.selective || 0);
+
+        if (!output) {
+            composer.render();
+            return;
+        }
+
+        // The shared renderer keeps a pixel ratio of 1, so its viewport is
+        // in device pixels
+        fitSharedRenderer(output.width, output.height);
+        renderer.setViewport(0, 0, output.width, output.height);
+        composer.render();
+
+        const source = renderer.domElement;
+        outputContext.globalCompositeOperation = 'copy';
+        outputContext.drawImage(
+            source,
+            0, source.height - output.height, output.width, output.height,
+            0, 0, output.width, output.height
+        );
+    }
+
+    // Effects that carry earlier frames start over
+    function clearHistory() {
+        postChain.clearHistory();
+    }
+
+    function dispose() {
+        renderer.domElement.removeEventListener('webglcontextlost', handleContextLost);
+        renderer.domElement.removeEventListener('webglcontextrestored', handleContextRestored);
+        disposeComposer();
+        if (shared) {
+            releaseSharedRenderer();
+            return;
+        }
+        renderer.dispose();
+        // Release the WebGL context now instead of waiting for GC
+        renderer.forceContextLoss();
+    }
+
+    return {
+        type: shared ? 'shared' : 'webgl',
+        domElement: output || renderer.domElement,
+        setSize,
+        setQuality,
+        render,
+        clearHistory,
+        dispose,
+        get contextLost() {
+            return contextLost;
+        }
+    };
+}
@@ -0,0 +1,373 @@
+// Worker renderer
+// Draws the field from a Web Worker through an OffscreenCanvas, so the WebGL
+// calls, shader compiles and the bloom composer stay off the main thread and
+// scrolling and hover remain smooth when the GPU is busy.
+//
+// The page keeps what needs the DOM (section layout, copy zones, hit-testing)
+// and works out each frame's uniforms, which is cheap. render() then posts
+// the scene as data: meshes, their materials and uniform values, and the
+// camera. Geometry, shader source and texture data only travel when they
+// change. The worker (render-worker.js) rebuilds the same meshes and renders
+// them with the regular WebGL renderer. While the worker is still busy with
+// a frame, newer frames are dropped rather than queued.
+//
+// Only the drawing moves: the simulation (scroll, sections, timeline,
+// palettes, pointer, data) still runs on the main thread, and every frame
+// re-sends the bands' uniforms. That relieves the main thread of the GPU work
+// but not of the per-frame JavaScript, which is why the worker is opt-in
+// (renderer: 'worker') rather than the default.
+//
+// Workers do not see the page's import map, so the worker resolves 'three'
+// through es-module-shims with the page's map. The site serves its own copy
+// and names it in the `worker.shims` option; without it there is no worker.
+//
+// Where OffscreenCanvas is missing or `worker.shims` is not set,
+// createWorkerRenderer() throws and the field renders on the main thread;
+// onFailure reports a worker that fails to start or stops answering.
+
+export const DEFAULT_WORKER_OPTIONS = {
+    // URL of a self-hosted es-module-shims build, loaded into the worker
+    shims: null,
+    // Import map for the worker, default the page's own
+    importMap: null,
+    // ms to wait for the worker to start, and for its first frame (shader
+    // compiles included), before giving up
+    startTimeout: 10000,
+    // ms to wait for each later frame
+    frameTimeout: 2000
+};
+
+export function isWorkerRenderingAvailable() {
+    return typeof Worker !== 'undefined'
+        && typeof HTMLCanvasElement !== 'undefined'
+        && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+}
+
+// The page's import map with every address made absolute, as the worker
+// resolves relative ones against its own URL
+function readImportMap() {
+    const imports = {};
+    document.querySelectorAll('script[type="importmap"]').forEach((script) => {
+        try {
+            const map = JSON.parse(script.textContent);
+            Object.entries(map.imports || {}).forEach(([specifier, address]) => {
+                imports[specifier] = new URL(address, document.baseURI).href;
+            });
+        } catch (error) {
+            console.warn('wave-field: invalid import map', script, error);
+        }
+    });
+    return { imports };
+}
+
+// ============================================
+// SCENE SNAPSHOTS
+// ============================================
+
+// Vectors and colours as numbers, arrays of them flattened, as three.js
+// uploads either form
+function serializeValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+    if (Array.isArray(value)) {
+        if (value.length > 0 && typeof value[0] === 'object') {
+            return value.flatMap((item) => item.toArray());
+        }
+        return value.slice();
+    }
+    if (value && typeof value.toArray === 'function') return value.toArray();
+    return value;
+}
+
+function serializeTexture(texture, transfer) {
+    const data = texture.image.data.slice();
+    transfer.push(data.buffer);
+    return {
+        uuid: texture.uuid,
+        version: texture.version,
+        data,
+        width: texture.image.width,
+        height: texture.image.height,
+        format: texture.format,
+        type: texture.type,
+        minFilter: texture.minFilter,
+        magFilter: texture.magFilter
+    };
+}
+
+function serializeGeometry(geometry, transfer) {
+    const attributes = {};
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+        const array = attribute.array.slice();
+        transfer.push(array.buffer);
+        attributes[name] = {
+            array,
+            itemSize: attribute.itemSize,
+            normalized: attribute.normalized,
+            instanced: Boolean(attribute.isInstancedBufferAttribute),
+            meshPerAttribute: attribute.meshPerAttribute || 1
+        };
+    });
+    const index = geometry.index ? geometry.index.array.slice() : null;
+    if (index) transfer.push(index.buffer);
+    return {
+        uuid: geometry.uuid,
+        attributes,
+        index,
+        instanced: Boolean(geometry.isInstancedBufferGeometry),
+        instanceCount: geometry.instanceCount
+    };
+}
+
+function serializeMaterial(material) {
+    return {
+        uuid: material.uuid,
+        version: material.version,
+        vertexShader: material.vertexShader,
+        fragmentShader: material.fragmentShader,
+        defines: { ...material.defines },
+        transparent: material.transparent,
+        blending: material.blending,
+        depthWrite: material.depthWrite,
+        depthTest: material.depthTest,
+        side: material.side
+    };
+}
+
+// Tracks what the worker already has, so each frame only carries changes
+function createSceneSerializer() {
+    let sentGeometries = new Set();
+    let sentMaterials = new Map();
+    let sentTextures = new Map();
+    const uniformIds = new WeakMap();
+    let nextUniformId = 0;
+
+    function serializeUniforms(uniforms, transfer) {
+        const values = {};
+        Object.entries(uniforms).forEach(([name, uniform]) => {
+            const { value } = uniform;
+            if (value && value.isTexture) {
+                const texture = sentTextures.get(value.uuid) === value.version
+                    ? { uuid: value.uuid }
+                    : serializeTexture(value, transfer);
+                sentTextures.set(value.uuid, value.version);
+                values[name] = { texture };
+            } else {
+                values[name] = serializeValue(value);
+            }
+        });
+        return values;
+    }
+
+    function serialize(scene, camera) {
+        const transfer = [];
+        const uniforms = {};
+        const meshes = [];
+
+        scene.children.forEach((mesh) => {
+            if (!mesh.isMesh) return;
+            const { geometry, material } = mesh;
+
+            if (!uniformIds.has(material.uniforms)) uniformIds.set(material.uniforms, nextUniformId++);
+            const uniformsId = uniformIds.get(material.uniforms);
+            if (!uniforms[uniformsId]) uniforms[uniformsId] = serializeUniforms(material.uniforms, transfer);
+
+            meshes.push({
+                uuid: mesh.uuid,
+                visible: mesh.visible,
+                frustumCulled: mesh.frustumCulled,
+                renderOrder: mesh.renderOrder,
+                matrix: mesh.matrixWorld.toArray(),
+                geometry: sentGeometries.has(geometry.uuid)
+                    ? { uuid: geometry.uuid }
+                    : serializeGeometry(geometry, transfer),
+                material: sentMaterials.get(material.uuid) === material.version
+                    ? { uuid: material.uuid }
+                    : serializeMaterial(material),
+                uniforms: uniformsId
+            });
+            sentGeometries.add(geometry.uuid);
+            sentMaterials.set(material.uuid, material.version);
+        });
+
+        return {
+            message: {
+                meshes,
+                uniforms,
+                camera: {
+                    position: camera.position.toArray(),
+                    quaternion: camera.quaternion.toArray(),
+                    projectionMatrix: camera.projectionMatrix.toArray()
+                }
+            },
+            transfer
+        };
+    }
+
+    // A restored context or a new worker starts from nothing
+    function reset() {
+        sentGeometries = new Set();
+        sentMaterials = new Map();
+        sentTextures = new Map();
+    }
+
+    return { serialize, reset };
+}
+
+// ============================================
+// WORKER RENDERER
+// ============================================
+
+export function createWorkerRenderer({ scene, camera, options = {}, onContextLost, onContextRestored, onFailure }) {
+    if (!isWorkerRenderingAvailable()) {
+        throw new Error('wave-field: OffscreenCanvas rendering is not available');
+    }
+
+    const workerOptions = { ...DEFAULT_WORKER_OPTIONS, ...options };
+    if (!workerOptions.shims) {
+        throw new Error('wave-field: the render worker needs worker.shims, a self-hosted es-module-shims build');
+    }
+    const canvas = document.createElement('canvas');
+    const offscreen = canvas.transferControlToOffscreen();
+    const worker = new Worker(new URL('./render-worker.js', import.meta.url));
+    const serializer = createSceneSerializer();
+
+    let ready = false;
+    let pending = false;
+    let contextLost = false;
+    let failed = false;
+    let size = null;
+    let quality = null;
+    let stallTimer = null;
+    // Until the worker has delivered a frame, shader compiles may still be
+    // running, so the first frame gets the start timeout
+    let delivered = false;
+
+    function fail(error) {
+        if (failed) return;
+        failed = true;
+        pending = false;
+        clearTimeout(stallTimer);
+        worker.terminate();
+        if (onFailure) onFailure(error);
+    }
+
+    // A worker that hangs without an error would otherwise keep `pending`
+    // set and the field frozen
+    function watch(timeout) {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => {
+            fail(new Error('wave-field: render worker stopped responding'));
+        }, timeout);
+    }
+
+    function handleMessage(event) {
+        const message = event.data;
+        switch (message.type) {
+            case 'ready':
+                ready = true;
+                clearTimeout(stallTimer);
+                if (size) worker.postMessage({ type: 'resize', ...size });
+                if (quality) worker.postMessage({ type: 'quality', quality });
+                break;
+            case 'rendered':
+                pending = false;
+                delivered = true;
+                clearTimeout(stallTimer);
+                break;
+            case 'contextlost':
+                contextLost = true;
+                pending = false;
+                clearTimeout(stallTimer);
+                if (onContextLost) onContextLost();
+                break;
+            case 'contextrestored':
+                contextLost = false;
+                delivered = false;
+                serializer.reset();
+                if (onContextRestored) onContextRestored();
+                break;
+            case 'error':
+                fail(new Error(`wave-field: render worker failed: ${message.message}`));
+                break;
+            default:
+                break;
+        }
+    }
+
+    function handleError(event) {
+        event.preventDefault();
+        fail(new Error(`wave-field: render worker failed: ${event.message || 'script error'}`));
+    }
+
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    worker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        importMap: workerOptions.importMap || readImportMap(),
+        shims: new URL(workerOptions.shims, document.baseURI).href
+    }, [offscreen]);
+    watch(workerOptions.startTimeout);
+
+    // ============================================
+    // RENDERER INTERFACE
+    // ============================================
+
+    // The worker sizes the drawing buffer; the page sizes the element
+    function setSize(width, height, pixelRatio, updateStyle = true) {
+        if (updateStyle) {
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        }
+        size = { width, height, pixelRatio };
+        if (ready) worker.postMessage({ type: 'resize', ...size });
+    }
+
+    function setQuality(nextQuality) {
+        quality = { bloomScale: nextQuality.bloomScale };
+        if (ready) worker.postMessage({ type: 'quality', quality });
+    }
+
+    function render(frame) {
+        if (!ready || failed || contextLost || pending) return;
+        pending = true;
+        watch(delivered ? workerOptions.frameTimeout : workerOptions.startTimeout);
+        const { message, transfer } = serializer.serialize(scene, camera);
+        worker.postMessage({
+            type: 'frame',
+            ...message,
+            frame: {
+                background: frame.background.toArray(),
+                exposure: frame.exposure,
+                bloom: { ...frame.bloom },
+                bloomMask: frame.bloomMask,
+                post: frame.post
+            }
+        }, transfer);
+    }
+
+    function clearHistory() {
+        if (ready) worker.postMessage({ type: 'clearhistory' });
+    }
+
+    // The context goes with the worker
+    function dispose() {
+        clearTimeout(stallTimer);
+        worker.removeEventListener('message', handleMessage);
+        worker.removeEventListener('error', handleError);
+        worker.terminate();
+    }
+
+    return {
+        type: 'worker',
+        domElement: canvas,
+        setSize,
+        setQuality,
+        render,
+        clearHistory,
+        dispose,
+        get contextLost() {
+            return contextLost;
+        }
+    };
+}